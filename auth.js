@@ -13,10 +13,22 @@ const authContainer = document.getElementById('authContainer');
 const loading = document.getElementById('loading');
 const signInForm = document.getElementById('signInForm');
 const signUpForm = document.getElementById('signUpForm');
+const forgotForm = document.getElementById('forgotForm');
+const resetForm = document.getElementById('resetForm');
+const twoFactorForm = document.getElementById('twoFactorForm');
 const signInToggle = document.getElementById('signInToggle');
 const signUpToggle = document.getElementById('signUpToggle');
 const successModal = document.getElementById('successModal');
 
+// Token from an emailed password reset link (auth.html?reset=...)
+const resetToken = new URLSearchParams(window.location.search).get('reset');
+// Result of following an email verification link (?verified=1 or ?verified=0)
+const verifiedResult = new URLSearchParams(window.location.search).get('verified');
+// Set when the server sends a Google sign-in that didn't complete back here: ?google=failed, or
+// ?google=link&email=... when the Google email belongs to an account the password must unlock first
+const googleResult = new URLSearchParams(window.location.search).get('google');
+const googleLinkEmail = new URLSearchParams(window.location.search).get('email');
+
 /**
  * Initialize the authentication system
  */
@@ -30,7 +42,10 @@ document.addEventListener('DOMContentLoaded', async function() {
     console.log('Initial SignUp toggle classes:', signUpToggle.className);
     
     setupEventListeners();
-    await checkExistingSession();
+    // Someone following a reset link wants to stay here even if they are still signed in
+    if (!resetToken) {
+        await checkExistingSession();
+    }
     
     // Check server connection status
     await checkServerConnection();
@@ -43,7 +58,8 @@ document.addEventListener('DOMContentLoaded', async function() {
     authContainer.style.display = 'flex';
     
     // Ensure Sign In form is active by default
-    switchForm('signin');
+    switchForm(resetToken ? 'reset' : 'signin');
+    showRedirectMessage();
 });
 
 /**
@@ -53,6 +69,13 @@ function setupEventListeners() {
     // Form submissions
     signInForm.addEventListener('submit', handleSignIn);
     signUpForm.addEventListener('submit', handleSignUp);
+    forgotForm.addEventListener('submit', handleForgotPassword);
+    resetForm.addEventListener('submit', handleResetPassword);
+    twoFactorForm.addEventListener('submit', handleTwoFactor);
+    document.getElementById('toggleRecoveryCode').addEventListener('click', (e) => {
+        e.preventDefault();
+        setRecoveryCodeMode(!usingRecoveryCode);
+    });
     
     // Toggle button click events
     signInToggle.addEventListener('click', () => {
@@ -65,6 +88,19 @@ function setupEventListeners() {
         switchForm('signup');
     });
     
+    // Password reset links
+    signInForm.querySelector('.forgot-password').addEventListener('click', (e) => {
+        e.preventDefault();
+        document.getElementById('forgotEmail').value = document.getElementById('signInEmail').value.trim();
+        switchForm('forgot');
+    });
+    document.querySelectorAll('.back-to-signin').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            switchForm('signin');
+        });
+    });
+    
     // Input validation on blur
     document.getElementById('signUpName').addEventListener('blur', validateName);
     document.getElementById('signUpEmail').addEventListener('blur', validateEmail);
@@ -76,6 +112,8 @@ function setupEventListeners() {
         validateConfirmPassword();
     });
     
+    document.getElementById('successContinueBtn').addEventListener('click', closeSuccessModal);
+    
     // Close modal when clicking outside
     successModal.addEventListener('click', (e) => {
         if (e.target === successModal) {
@@ -92,33 +130,26 @@ function setupEventListeners() {
 }
 
 /**
- * Switch between Sign In and Sign Up forms
- * @param {string} formType - 'signin' or 'signup'
+ * Switch between the Sign In, Sign Up, Two-Factor, Forgot Password and Reset Password forms
+ * @param {string} formType - 'signin', 'signup', 'twofactor', 'forgot' or 'reset'
  */
 function switchForm(formType) {
     console.log(`Switching to ${formType} form`);
-    console.log('Before switch - SignIn form classes:', signInForm.className);
-    console.log('Before switch - SignUp form classes:', signUpForm.className);
-    
-    // Update toggle buttons
-    if (formType === 'signin') {
-        signInToggle.classList.add('active');
-        signUpToggle.classList.remove('active');
-        signInForm.classList.add('active');
-        signUpForm.classList.remove('active');
-        currentForm = 'signin';
-        console.log('Switched to Sign In form');
-    } else {
-        signUpToggle.classList.add('active');
-        signInToggle.classList.remove('active');
-        signUpForm.classList.add('active');
-        signInForm.classList.remove('active');
-        currentForm = 'signup';
-        console.log('Switched to Sign Up form');
-    }
-    
-    console.log('After switch - SignIn form classes:', signInForm.className);
-    console.log('After switch - SignUp form classes:', signUpForm.className);
+    const forms = {
+        signin: signInForm,
+        signup: signUpForm,
+        forgot: forgotForm,
+        reset: resetForm,
+        twofactor: twoFactorForm
+    };
+    
+    // Update toggle buttons; the password forms belong to neither
+    signInToggle.classList.toggle('active', formType === 'signin');
+    signUpToggle.classList.toggle('active', formType === 'signup');
+    Object.entries(forms).forEach(([type, form]) => {
+        form.classList.toggle('active', type === formType);
+    });
+    currentForm = formType;
     console.log('Current form:', currentForm);
     
     // Clear any existing alerts
@@ -153,44 +184,171 @@ async function handleSignIn(e) {
     
     // Show loading state
     setButtonLoading('signInBtn', true);
+    let lockout = null;
     
     try {
-        // Use absolute URL to localhost server when accessing auth.html directly
-        const apiBase = window.location.hostname === 'localhost' && window.location.port === '3000' 
-            ? '' 
-            : 'http://localhost:3000';
-            
-        const response = await fetch(`${apiBase}/api/auth/signin`, {
+        const response = await fetch('/api/auth/signin', {
             method: 'POST',
+            credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ email, password, remember: !!rememberMe })
         });
         const data = await response.json();
 
+        if (response.status === 429) {
+            // Too many failed attempts: the server says how long to wait
+            lockout = {
+                message: data?.error || 'Too many failed sign-in attempts.',
+                seconds: Number(response.headers.get('Retry-After')) || data?.retryAfter || 60
+            };
+            return;
+        }
         if (!response.ok) {
             throw new Error(data?.error || 'Failed to sign in');
         }
 
-        currentUser = data.user;
-
-        // Optional client-side session mirror
-        try {
-            const storage = rememberMe ? localStorage : sessionStorage;
-            storage.setItem('splitBillUser', JSON.stringify(currentUser));
-        } catch (_) {}
+        if (data.twoFactorRequired) {
+            // Password accepted; the session starts once the code is verified
+            pendingRememberMe = rememberMe;
+            document.getElementById('signInPassword').value = '';
+            setRecoveryCodeMode(false);
+            switchForm('twofactor');
+            document.getElementById('twoFactorCode').focus();
+            return;
+        }
 
-        showAlert('signInAlert', `Welcome back, ${currentUser.name || currentUser.email}!`, 'success');
-        setTimeout(() => {
-            window.location.href = 'index.html';
-        }, 800);
+        finishSignIn(data.user, rememberMe, 'signInAlert', data.googleLinked);
     } catch (error) {
         console.error('Sign in error:', error);
         showAlert('signInAlert', error.message || 'An error occurred. Please try again.', 'error');
     } finally {
         setButtonLoading('signInBtn', false);
+        if (lockout) {
+            lockSignIn(lockout.seconds, lockout.message);
+        }
     }
 }
 
+/**
+ * Remember the signed-in user and go to the app
+ * @param {Object} user - User returned by the server
+ * @param {boolean} rememberMe - Keep the client-side mirror across browser restarts
+ * @param {string} alertId - Where to show the welcome message
+ * @param {boolean} [googleLinked] - Signing in also connected a pending Google sign-in to the account
+ */
+function finishSignIn(user, rememberMe, alertId, googleLinked = false) {
+    currentUser = user;
+
+    // Optional client-side session mirror
+    try {
+        const storage = rememberMe ? localStorage : sessionStorage;
+        storage.setItem('splitBillUser', JSON.stringify(currentUser));
+    } catch (_) {}
+
+    const linkedNote = googleLinked ? ' Your Google account is now connected, so you can sign in with either.' : '';
+    showAlert(alertId, `Welcome back, ${currentUser.name || currentUser.email}!${linkedNote}`, 'success');
+    setTimeout(() => {
+        window.location.href = 'index.html';
+    }, 800);
+}
+
+let pendingRememberMe = false;
+let usingRecoveryCode = false;
+
+/**
+ * Switch the two-factor form between authenticator codes and recovery codes
+ * @param {boolean} enabled - Ask for a recovery code
+ */
+function setRecoveryCodeMode(enabled) {
+    usingRecoveryCode = enabled;
+    const input = document.getElementById('twoFactorCode');
+    input.value = '';
+    input.placeholder = enabled ? 'xxxxx-xxxxx' : '123456';
+    input.inputMode = enabled ? 'text' : 'numeric';
+    document.getElementById('twoFactorLabel').textContent = enabled ? 'Recovery Code' : 'Authentication Code';
+    document.getElementById('twoFactorHint').textContent = enabled
+        ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.'
+        : 'Enter the 6-digit code from your authenticator app';
+    document.getElementById('toggleRecoveryCode').textContent = enabled
+        ? 'Use your authenticator app instead'
+        : 'Use a recovery code instead';
+}
+
+/**
+ * Handle Two-Factor form submission, the second sign-in step
+ * @param {Event} e - Form submission event
+ */
+async function handleTwoFactor(e) {
+    e.preventDefault();
+    
+    const code = document.getElementById('twoFactorCode').value.trim();
+    if (!code) {
+        showAlert('twoFactorAlert', 'Please enter your code', 'error');
+        return;
+    }
+    
+    setButtonLoading('twoFactorBtn', true);
+    
+    try {
+        const response = await fetch('/api/auth/2fa/verify', {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+
+        if (data?.code === 'TWO_FACTOR_EXPIRED') {
+            // The password step expired; start again
+            switchForm('signin');
+            showAlert('signInAlert', data?.error || 'Please sign in again.', 'error');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(data?.error || 'Failed to verify code');
+        }
+
+        if (data.recoveryCodesLeft !== undefined) {
+            alert(`You used a recovery code. ${data.recoveryCodesLeft} left. You can make new ones from your dashboard.`);
+        }
+        finishSignIn(data.user, pendingRememberMe, 'twoFactorAlert', data.googleLinked);
+    } catch (error) {
+        console.error('Two-factor error:', error);
+        document.getElementById('twoFactorCode').select();
+        showAlert('twoFactorAlert', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        setButtonLoading('twoFactorBtn', false);
+    }
+}
+
+let signInLockTimer = null;
+
+/**
+ * Keep the Sign In button disabled while the server is refusing attempts, with a countdown
+ * @param {number} seconds - From the Retry-After header
+ * @param {string} message - The server's explanation
+ */
+function lockSignIn(seconds, message) {
+    const button = document.getElementById('signInBtn');
+    const lockedUntil = Date.now() + seconds * 1000;
+    clearInterval(signInLockTimer);
+    
+    const update = () => {
+        const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(signInLockTimer);
+            button.disabled = false;
+            showAlert('signInAlert', 'You can try signing in again now.', 'success');
+            return;
+        }
+        const countdown = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+        button.disabled = true;
+        showAlert('signInAlert', `${message} Time remaining: ${countdown}`, 'error');
+    };
+    update();
+    signInLockTimer = setInterval(update, 1000);
+}
+
 /**
  * Handle Sign Up form submission
  * @param {Event} e - Form submission event
@@ -218,12 +376,7 @@ async function handleSignUp(e) {
         const requestBody = { name, email, password };
         console.log('Sending signup request:', { ...requestBody, password: '[HIDDEN]' });
         
-        // Use absolute URL to localhost server when accessing auth.html directly
-        const apiBase = window.location.hostname === 'localhost' && window.location.port === '3000' 
-            ? '' 
-            : 'http://localhost:3000';
-            
-        const response = await fetch(`${apiBase}/api/auth/signup`, {
+        const response = await fetch('/api/auth/signup', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(requestBody)
@@ -249,7 +402,7 @@ async function handleSignUp(e) {
             throw new Error(data?.error || 'Failed to create account');
         }
 
-        showSuccessModal('Account Created!', `Welcome to Split Bill Calculator, ${name}! Your account has been created successfully.`);
+        showSuccessModal('Account Created!', `Welcome to Split Bill Calculator, ${name}! Your account has been created. We've emailed you a link to confirm your address.`);
         signUpForm.reset();
         setTimeout(() => { switchForm('signin'); }, 1200);
         
@@ -261,6 +414,111 @@ async function handleSignUp(e) {
     }
 }
 
+/**
+ * Report the outcome of an email verification link or a Google sign-in on the Sign In form
+ */
+function showRedirectMessage() {
+    if (verifiedResult === '1') {
+        showAlert('signInAlert', 'Your email address is confirmed. You can now join groups shared with you.', 'success');
+    } else if (verifiedResult !== null) {
+        showAlert('signInAlert', 'This verification link is invalid or has expired. Sign in and use "Resend link" to get a new one.', 'error');
+    } else if (googleResult === 'link' && googleLinkEmail) {
+        document.getElementById('signInEmail').value = googleLinkEmail;
+        // The email goes in the input rather than the alert, which is HTML
+        showAlert('signInAlert', 'An account already uses your Google email address. Sign in with its password to connect your Google account to it.', 'error');
+    } else if (googleResult === 'failed') {
+        showAlert('signInAlert', "Google sign-in didn't complete. If your account has been disabled, contact an administrator.", 'error');
+    } else {
+        return;
+    }
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
+/**
+ * Handle Forgot Password form submission
+ * @param {Event} e - Form submission event
+ */
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    
+    const email = document.getElementById('forgotEmail').value.trim();
+    if (!isValidEmail(email)) {
+        showAlert('forgotAlert', 'Please enter a valid email', 'error');
+        return;
+    }
+    
+    setButtonLoading('forgotBtn', true);
+    
+    try {
+        const response = await fetch('/api/auth/forgot', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data?.error || 'Failed to send reset link');
+        }
+
+        showAlert('forgotAlert', data.message, 'success');
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        showAlert('forgotAlert', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        setButtonLoading('forgotBtn', false);
+    }
+}
+
+/**
+ * Handle Reset Password form submission
+ * @param {Event} e - Form submission event
+ */
+async function handleResetPassword(e) {
+    e.preventDefault();
+    
+    const passwordInput = document.getElementById('resetPassword');
+    const confirmInput = document.getElementById('resetConfirmPassword');
+    const password = passwordInput.value;
+    
+    if (password.length < 8) {
+        setInputError(passwordInput, 'Password must be at least 8 characters long');
+        return;
+    }
+    setInputSuccess(passwordInput);
+    if (password !== confirmInput.value) {
+        setInputError(confirmInput, 'Passwords do not match');
+        return;
+    }
+    setInputSuccess(confirmInput);
+    
+    setButtonLoading('resetBtn', true);
+    
+    try {
+        const response = await fetch('/api/auth/reset', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: resetToken, password })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data?.error || 'Failed to reset password');
+        }
+
+        // The link is used up, so drop it from the address bar
+        window.history.replaceState(null, '', window.location.pathname);
+        resetForm.reset();
+        showSuccessModal('Password Reset', data.message);
+        switchForm('signin');
+    } catch (error) {
+        console.error('Reset password error:', error);
+        showAlert('resetAlert', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        setButtonLoading('resetBtn', false);
+    }
+}
+
 /**
  * Validate all Sign Up form fields
  * @param {string} name - Full name input
@@ -482,13 +740,8 @@ async function checkServerConnection() {
     const statusText = document.getElementById('statusText');
     
     try {
-        // Determine API base URL
-        const apiBase = window.location.hostname === 'localhost' && window.location.port === '3000' 
-            ? '' 
-            : 'http://localhost:3000';
-        
-        // Try to ping the server
-        const response = await fetch(`${apiBase}/api/auth/session`, { 
+        // Try to ping the server this page was loaded from
+        const response = await fetch('/api/auth/session', { 
             method: 'GET',
             timeout: 3000 // 3 second timeout
         });
@@ -523,12 +776,7 @@ async function checkServerConnection() {
 async function checkExistingSession() {
     // Prefer backend session
     try {
-        // Use absolute URL to localhost server when accessing auth.html directly
-        const apiBase = window.location.hostname === 'localhost' && window.location.port === '3000' 
-            ? '' 
-            : 'http://localhost:3000';
-            
-        const res = await fetch(`${apiBase}/api/auth/session`);
+        const res = await fetch('/api/auth/session', { credentials: 'include' });
         if (res.ok) {
             const session = await res.json();
             if (session && session.userId) {
@@ -631,12 +879,7 @@ function logout() {
     currentUser = null;
     localStorage.removeItem('splitBillUser');
     sessionStorage.removeItem('splitBillUser');
-            // Use absolute URL to localhost server when accessing auth.html directly
-        const apiBase = window.location.hostname === 'localhost' && window.location.port === '3000' 
-            ? '' 
-            : 'http://localhost:3000';
-            
-        fetch(`${apiBase}/api/auth/signout`, { method: 'POST' }).finally(() => {
+    fetch('/api/auth/signout', { method: 'POST', credentials: 'include' }).finally(() => {
         window.location.href = 'auth.html';
     });
 }
@@ -0,0 +1,194 @@
+/**
+ * Server configuration
+ * Settings come from environment variables, then from an optional JSON config file
+ * (CONFIG_FILE, or config.json next to this file), then from the defaults below.
+ * Everything is validated when the server starts, so a bad setting stops it straight away
+ * instead of failing on the first request that needs it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+const DEV_SESSION_SECRET = 'your-secret-key-change-this-in-production';
+const SESSION_STORES = ['file', 'memory'];
+const USER_STORES = ['json', 'sqlite'];
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+// Config file key -> environment variable
+const ENV_NAMES = {
+    nodeEnv: 'NODE_ENV',
+    port: 'PORT',
+    baseUrl: 'BASE_URL',
+    sessionSecret: 'SESSION_SECRET',
+    sessionStore: 'SESSION_STORE',
+    sessionFile: 'SESSION_FILE',
+    sessionMaxAge: 'SESSION_MAX_AGE',
+    loginAttemptsFile: 'LOGIN_ATTEMPTS_FILE',
+    userStore: 'USER_STORE',
+    usersFile: 'USERS_FILE',
+    userDbFile: 'USER_DB_FILE',
+    cookieSecure: 'COOKIE_SECURE',
+    cookieSameSite: 'COOKIE_SAME_SITE',
+    trustProxy: 'TRUST_PROXY',
+    corsOrigins: 'CORS_ORIGINS',
+    googleCredentialsFile: 'GOOGLE_CREDENTIALS_FILE',
+    mailFrom: 'MAIL_FROM',
+    adminEmails: 'ADMIN_EMAILS'
+};
+
+/**
+ * Read the config file; a missing default file is fine, a missing CONFIG_FILE is not
+ */
+function readConfigFile(env, errors) {
+    const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+    try {
+        const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            errors.push(`${file} must contain a JSON object`);
+            return {};
+        }
+        Object.keys(values)
+            .filter(key => !(key in ENV_NAMES))
+            .forEach(key => errors.push(`Unknown setting "${key}" in ${file}`));
+        return values;
+    } catch (error) {
+        if (error.code === 'ENOENT' && !env.CONFIG_FILE) {
+            return {};
+        }
+        errors.push(`Could not read config file ${file}: ${error.message}`);
+        return {};
+    }
+}
+
+function parseBoolean(value, name, errors) {
+    if (typeof value === 'boolean') return value;
+    if (/^(true|1|yes)$/i.test(String(value))) return true;
+    if (/^(false|0|no)$/i.test(String(value))) return false;
+    errors.push(`${name} must be true or false`);
+    return false;
+}
+
+/**
+ * A list given as an array (config file) or a comma-separated string (environment)
+ */
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * The scheme, host and port of a URL, or null when it isn't an http(s) URL
+ */
+function originOf(value) {
+    try {
+        const url = new URL(value);
+        return /^https?:$/.test(url.protocol) ? url.origin : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseInteger(value, name, errors, min) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        errors.push(`${name} must be a whole number of at least ${min}`);
+    }
+    return number;
+}
+
+/**
+ * Build and validate the configuration
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {Object} Frozen configuration
+ * @throws {Error} Listing every invalid setting
+ */
+function loadConfig(env = process.env) {
+    const errors = [];
+    const fileValues = readConfigFile(env, errors);
+    const setting = (key, fallback) => {
+        if (env[ENV_NAMES[key]] !== undefined && env[ENV_NAMES[key]] !== '') return env[ENV_NAMES[key]];
+        if (fileValues[key] !== undefined) return fileValues[key];
+        return fallback;
+    };
+
+    const nodeEnv = setting('nodeEnv', 'development');
+    const production = nodeEnv === 'production';
+    const port = parseInteger(setting('port', 3000), 'PORT', errors, 1);
+
+    const baseUrl = String(setting('baseUrl', `http://localhost:${port}`)).replace(/\/+$/, '');
+    if (!/^https?:\/\/[^/]+/.test(baseUrl)) {
+        errors.push('BASE_URL must be an http:// or https:// URL');
+    }
+
+    const sessionSecret = String(setting('sessionSecret', production ? '' : DEV_SESSION_SECRET));
+    if (production && (!sessionSecret || sessionSecret === DEV_SESSION_SECRET)) {
+        errors.push('SESSION_SECRET must be set in production');
+    } else if (sessionSecret.length < 16) {
+        errors.push('SESSION_SECRET must be at least 16 characters');
+    }
+
+    const sessionStore = String(setting('sessionStore', 'file')).toLowerCase();
+    if (!SESSION_STORES.includes(sessionStore)) {
+        errors.push(`SESSION_STORE must be one of: ${SESSION_STORES.join(', ')}`);
+    }
+
+    const userStore = String(setting('userStore', 'json')).toLowerCase();
+    if (!USER_STORES.includes(userStore)) {
+        errors.push(`USER_STORE must be one of: ${USER_STORES.join(', ')}`);
+    }
+
+    const cookieSecure = parseBoolean(setting('cookieSecure', production), 'COOKIE_SECURE', errors);
+    const cookieSameSite = String(setting('cookieSameSite', 'lax')).toLowerCase();
+    if (!SAME_SITE_VALUES.includes(cookieSameSite)) {
+        errors.push(`COOKIE_SAME_SITE must be one of: ${SAME_SITE_VALUES.join(', ')}`);
+    } else if (cookieSameSite === 'none' && !cookieSecure) {
+        errors.push('COOKIE_SAME_SITE=none needs COOKIE_SECURE=true, or browsers will reject the cookie');
+    }
+
+    const config = {
+        nodeEnv,
+        production,
+        port,
+        baseUrl,
+        googleCallbackUrl: `${baseUrl}/auth/google/callback`,
+        sessionSecret,
+        sessionStore,
+        sessionFile: path.resolve(__dirname, String(setting('sessionFile', 'sessions.json'))),
+        sessionMaxAge: parseInteger(setting('sessionMaxAge', 24 * 60 * 60 * 1000), 'SESSION_MAX_AGE', errors, 60 * 1000),
+        cookieSecure,
+        cookieSameSite,
+        loginAttemptsFile: path.resolve(__dirname, String(setting('loginAttemptsFile', 'login-attempts.json'))),
+        userStore,
+        usersFile: path.resolve(__dirname, String(setting('usersFile', 'users.json'))),
+        userDbFile: path.resolve(__dirname, String(setting('userDbFile', 'users.db'))),
+        trustProxy: parseBoolean(setting('trustProxy', false), 'TRUST_PROXY', errors),
+        // Other sites allowed to call the API with the user's cookie; the app's own origin is always allowed
+        corsOrigins: parseList(setting('corsOrigins', [])),
+        googleCredentialsFile: path.resolve(__dirname, String(setting('googleCredentialsFile',
+            'client_secret_1009038599977-7k9rklbaiu5t6ofsk9vr32lrp4nqa6tj.apps.googleusercontent.com.json'))),
+        mailFrom: String(setting('mailFrom', 'Split Bill Calculator <no-reply@localhost>')),
+        adminEmails: parseList(setting('adminEmails', [])).map(email => email.toLowerCase())
+    };
+    config.adminEmails
+        .filter(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))
+        .forEach(email => errors.push(`ADMIN_EMAILS contains an invalid email: ${email}`));
+    config.corsOrigins
+        .filter(origin => originOf(origin) !== origin)
+        .forEach(origin => errors.push(`CORS_ORIGINS entries must be origins like https://example.com, not ${origin}`));
+    if (originOf(baseUrl)) {
+        config.corsOrigins = [...new Set([originOf(baseUrl), ...config.corsOrigins])];
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n- ${errors.join('\n- ')}`);
+    }
+    if (!production && sessionSecret === DEV_SESSION_SECRET) {
+        console.warn('Using the development session secret. Set SESSION_SECRET before deploying.');
+    }
+    Object.freeze(config.adminEmails);
+    Object.freeze(config.corsOrigins);
+    return Object.freeze(config);
+}
+
+module.exports = loadConfig();
@@ -0,0 +1,62 @@
+/**
+ * CSRF tokens for the pages' API calls
+ * Wraps window.fetch so every POST, PUT, PATCH and DELETE to /api/ carries the session's token
+ * in an X-CSRF-Token header. The token is fetched from /api/auth/csrf-token the first time it is
+ * needed, and once more when the server says it is out of date (after signing out, for example).
+ * Load this before the page's own script.
+ */
+(function () {
+    const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+    const originalFetch = window.fetch.bind(window);
+    // Token requests by API origin, in case a page calls an allowed origin other than its own
+    const tokens = new Map();
+
+    /**
+     * The origin of an API URL, or null for anything outside /api/
+     */
+    function apiOrigin(input) {
+        if (typeof input !== 'string' && !(input instanceof URL)) return null;
+        const url = new URL(input, window.location.href);
+        return url.pathname.startsWith('/api/') ? url.origin : null;
+    }
+
+    function getToken(origin, refresh) {
+        if (refresh || !tokens.has(origin)) {
+            const base = origin === window.location.origin ? '' : origin;
+            const request = originalFetch(`${base}/api/auth/csrf-token`, { credentials: 'include' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not get a CSRF token (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => data.csrfToken);
+            // Forget a failed request so the next call asks again
+            request.catch(() => {
+                if (tokens.get(origin) === request) tokens.delete(origin);
+            });
+            tokens.set(origin, request);
+        }
+        return tokens.get(origin);
+    }
+
+    async function sendWithToken(input, options, origin, refresh) {
+        const token = await getToken(origin, refresh);
+        return originalFetch(input, { ...options, headers: { ...(options.headers || {}), 'X-CSRF-Token': token } });
+    }
+
+    window.fetch = async function (input, options = {}) {
+        const origin = apiOrigin(input);
+        if (!origin || !UNSAFE_METHODS.includes(String(options.method || 'GET').toUpperCase())) {
+            return originalFetch(input, options);
+        }
+        const response = await sendWithToken(input, options, origin, false);
+        if (response.status === 403) {
+            const data = await response.clone().json().catch(() => null);
+            if (data && data.code === 'CSRF_INVALID') {
+                return sendWithToken(input, options, origin, true);
+            }
+        }
+        return response;
+    };
+})();
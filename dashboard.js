@@ -0,0 +1,499 @@
+/**
+ * Dashboard page: the signed-in user's spending across their groups, and their account settings
+ * Everything is loaded from the API and escaped before it is put into the page. Amounts are
+ * formatted by ledger-math.js, loaded before this file.
+ */
+
+/**
+ * Escape text for HTML, including quotes so it is also safe inside attribute values
+ */
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return (text == null ? '' : String(text)).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// The signed-in user's id, for linking them to a person in one of their groups
+let currentUserId = null;
+
+function formatMonth(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+}
+
+function renderProfile(me) {
+    currentUserId = me.id;
+    const picture = document.getElementById('profilePicture');
+    if (me.picture) {
+        picture.className = '';
+        picture.innerHTML = `<img class="profile-pic" src="${escapeHtml(me.picture)}" alt="Profile picture">`;
+    } else {
+        picture.className = 'profile-pic profile-initial';
+        picture.textContent = (me.name || me.email || '?').trim().charAt(0).toUpperCase();
+    }
+    document.getElementById('profileName').textContent = me.name;
+    document.getElementById('profileEmail').textContent = me.email;
+    document.getElementById('profileSince').textContent = me.createdAt
+        ? `Member since ${new Date(me.createdAt).toLocaleDateString()}`
+        : '';
+    document.getElementById('welcomeTitle').textContent = `Welcome back, ${me.name}!`;
+}
+
+// Spending analytics
+
+/**
+ * Rows of labelled bars, scaled to the largest value
+ * @param {{label: string, amountMinor: number}[]} rows
+ */
+function renderBars(rows, currency) {
+    const largest = Math.max(...rows.map(row => row.amountMinor), 1);
+    return rows.map(row => `
+        <div class="bar-row">
+            <span>${escapeHtml(row.label)}</span>
+            <div class="bar-track"><div class="bar-fill" style="width: ${Math.round(row.amountMinor / largest * 100)}%"></div></div>
+            <span class="bar-amount">${escapeHtml(formatMoney(row.amountMinor, currency))}</span>
+        </div>
+    `).join('');
+}
+
+// Each currency's section gets a heading once the user has groups in more than one currency
+function renderByCurrency(currencies, render) {
+    return currencies.map(total => (currencies.length > 1 ? `<h4>In ${escapeHtml(total.currency)}</h4>` : '') + render(total)).join('');
+}
+
+function renderActivity(entry) {
+    const date = new Date(entry.date).toLocaleDateString();
+    const isExpense = entry.type === 'expense';
+    const title = isExpense
+        ? escapeHtml(entry.description)
+        : `${escapeHtml(entry.from || 'Someone')} paid ${escapeHtml(entry.to || 'someone')}`;
+    const details = [
+        escapeHtml(entry.groupName),
+        date,
+        isExpense && entry.paidBy ? `paid by ${escapeHtml(entry.paidBy)}` : '',
+        isExpense && entry.category ? escapeHtml(entry.category) : ''
+    ].filter(Boolean).join(' &middot; ');
+    const yourShare = isExpense && entry.yourShareMinor
+        ? `<p>Your share ${escapeHtml(formatMoney(entry.yourShareMinor, entry.baseCurrency))}</p>`
+        : '';
+    return `
+        <div class="session-item">
+            <div>
+                <strong>${title}</strong>
+                <p>${details}</p>
+            </div>
+            <div class="activity-amount">
+                <strong>${escapeHtml(formatMoney(entry.amountMinor, entry.currency))}</strong>
+                ${yourShare}
+            </div>
+        </div>
+    `;
+}
+
+// A group only counts towards the totals once the user says which of its people they are
+function renderLinkPerson(group) {
+    if (group.unclaimedPeople.length === 0) {
+        return `<p>${escapeHtml(group.name)} isn't in your totals yet. Add yourself to it in the calculator, then choose yourself here.</p>`;
+    }
+    const options = group.unclaimedPeople
+        .map(person => `<option value="${escapeHtml(person.id)}">${escapeHtml(person.name)}</option>`)
+        .join('');
+    return `
+        <div class="link-person" data-group-id="${escapeHtml(group.id)}">
+            <span>Which person are you in <strong>${escapeHtml(group.name)}</strong>?</span>
+            <select>${options}</select>
+            <button class="session-btn primary-btn" data-action="link-person">This is me</button>
+            <span class="two-factor-error"></span>
+        </div>
+    `;
+}
+
+function renderStats(stats) {
+    const { currencies } = stats;
+    document.getElementById('balanceSummary').innerHTML = currencies.length === 0
+        ? ''
+        : currencies.map(total => `
+            <div class="stat-card">
+                <div class="stat-number stat-owe">${escapeHtml(formatMoney(total.youOweMinor, total.currency))}</div>
+                <div class="stat-label">You owe</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number stat-owed">${escapeHtml(formatMoney(total.owedToYouMinor, total.currency))}</div>
+                <div class="stat-label">You are owed</div>
+            </div>
+        `).join('');
+
+    document.getElementById('statsNotice').innerHTML = stats.groups.length === 0
+        ? '<p>You are not in any groups yet. Open the calculator to start one.</p>'
+        : stats.groups.filter(group => !group.linked).map(renderLinkPerson).join('');
+
+    const nothingYet = text => `<p class="empty-note">${text}</p>`;
+    const spent = currencies.filter(total => total.monthlySpend.some(month => month.amountMinor > 0));
+    document.getElementById('monthlySpend').innerHTML = spent.length === 0
+        ? nothingYet('No spending in the last few months.')
+        : renderByCurrency(spent, total => renderBars(
+            total.monthlySpend.map(month => ({ label: formatMonth(month.month), amountMinor: month.amountMinor })),
+            total.currency
+        ));
+
+    const categorized = currencies.filter(total => total.topCategories.length > 0);
+    document.getElementById('topCategories').innerHTML = categorized.length === 0
+        ? nothingYet('No expenses yet.')
+        : renderByCurrency(categorized, total => renderBars(
+            total.topCategories.map(category => ({
+                label: `${category.category || 'Uncategorized'} (${category.count})`,
+                amountMinor: category.amountMinor
+            })),
+            total.currency
+        ));
+
+    document.getElementById('recentActivity').innerHTML = stats.recentActivity.length === 0
+        ? nothingYet('Nothing yet. Expenses and payments from your groups show up here.')
+        : stats.recentActivity.map(renderActivity).join('');
+}
+
+async function loadStats() {
+    try {
+        const response = await fetch('/api/me/stats', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load');
+        renderStats(await response.json());
+    } catch (error) {
+        document.getElementById('balanceSummary').innerHTML = '<p>Could not load your spending.</p>';
+    }
+}
+
+// Linking to a person is saved on the group membership, as the calculator's Members panel does
+document.getElementById('statsNotice').addEventListener('click', async (e) => {
+    if (e.target.dataset.action !== 'link-person') return;
+    const row = e.target.closest('.link-person');
+    const groupPath = `/api/groups/${encodeURIComponent(row.dataset.groupId)}`;
+    try {
+        await sendJson('PATCH', `${groupPath}/members/${encodeURIComponent(currentUserId)}`, {
+            personId: row.querySelector('select').value
+        });
+        loadStats();
+    } catch (error) {
+        row.querySelector('.two-factor-error').textContent = error.message;
+    }
+});
+
+// Devices
+
+async function loadSessions() {
+    const list = document.getElementById('sessionList');
+    try {
+        const response = await fetch('/api/auth/sessions', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load sessions');
+        const sessions = await response.json();
+        list.innerHTML = sessions.map(session => `
+            <div class="session-item">
+                <div>
+                    <strong>${escapeHtml(session.device)}</strong>
+                    ${session.current ? '<span class="session-current">This device</span>' : ''}
+                    <p>${escapeHtml(session.ip || 'Unknown IP')} &middot; last active ${session.lastSeenAt ? new Date(session.lastSeenAt).toLocaleString() : 'unknown'}</p>
+                </div>
+                ${session.current ? '' : `<button class="session-btn" data-session="${escapeHtml(session.id)}">Sign out</button>`}
+            </div>
+        `).join('');
+        document.getElementById('revokeOthersBtn').style.display = sessions.length > 1 ? 'inline-block' : 'none';
+    } catch (error) {
+        list.innerHTML = '<p>Could not load your sessions.</p>';
+    }
+}
+
+async function revokeSessions(path) {
+    const response = await fetch(path, { method: 'DELETE', credentials: 'include' });
+    if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        alert(data?.error || 'Failed to sign out');
+    }
+    loadSessions();
+}
+
+document.getElementById('sessionList').addEventListener('click', (e) => {
+    const id = e.target.dataset.session;
+    if (id) revokeSessions('/api/auth/sessions/' + encodeURIComponent(id));
+});
+document.getElementById('revokeOthersBtn').addEventListener('click', () => {
+    if (confirm('Sign out of every other device?')) revokeSessions('/api/auth/sessions');
+});
+
+const twoFactorPanel = document.getElementById('twoFactorPanel');
+
+async function postJson(path, body = {}) {
+    const response = await fetch(path, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(data?.error || 'Request failed');
+    return data;
+}
+
+function showTwoFactorError(error) {
+    const message = twoFactorPanel.querySelector('.two-factor-error');
+    if (message) message.textContent = error.message;
+    else alert(error.message);
+}
+
+function showRecoveryCodes(codes) {
+    twoFactorPanel.innerHTML = `
+        <p>Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone, and they won't be shown again.</p>
+        <div class="recovery-codes">${codes.map(code => `<span>${escapeHtml(code)}</span>`).join('')}</div>
+        <p><button class="session-btn primary-btn" data-action="done">I've saved them</button></p>
+    `;
+}
+
+async function loadTwoFactor() {
+    try {
+        const response = await fetch('/api/auth/2fa', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load');
+        const status = await response.json();
+        if (!status.available) {
+            twoFactorPanel.innerHTML = "<p>You sign in with Google, so turn on Google's 2-Step Verification to protect your account.</p>";
+        } else if (status.enabled) {
+            twoFactorPanel.innerHTML = `
+                <p>On since ${new Date(status.enabledAt).toLocaleDateString()}. ${status.recoveryCodesLeft} recovery codes left.</p>
+                <input type="text" id="twoFactorCode" placeholder="Code from your app" autocomplete="one-time-code">
+                <input type="password" id="twoFactorPassword" placeholder="Password (to turn off)" autocomplete="current-password">
+                <div>
+                    <button class="session-btn primary-btn" data-action="new-codes">New recovery codes</button>
+                    <button class="session-btn" data-action="disable">Turn off</button>
+                </div>
+                <p class="two-factor-error"></p>
+            `;
+        } else {
+            twoFactorPanel.innerHTML = `
+                <p>Off. Turn it on to ask for a code from an authenticator app each time you sign in with your password.</p>
+                <button class="session-btn primary-btn" data-action="setup">Set up</button>
+            `;
+        }
+    } catch (error) {
+        twoFactorPanel.innerHTML = '<p>Could not load two-factor settings.</p>';
+    }
+}
+
+twoFactorPanel.addEventListener('click', async (e) => {
+    const action = e.target.dataset.action;
+    if (!action) return;
+    const code = document.getElementById('twoFactorCode')?.value.trim();
+    try {
+        if (action === 'setup') {
+            const setup = await postJson('/api/auth/2fa/setup');
+            twoFactorPanel.innerHTML = `
+                <p>Scan this QR code with an authenticator app, or enter the key by hand.</p>
+                <img src="${escapeHtml(setup.qrCode)}" alt="QR code for your authenticator app">
+                <p>Key: <span class="two-factor-secret">${escapeHtml(setup.secret)}</span></p>
+                <input type="text" id="twoFactorCode" placeholder="6-digit code" inputmode="numeric" autocomplete="one-time-code">
+                <button class="session-btn primary-btn" data-action="enable">Turn on</button>
+                <button class="session-btn" data-action="done">Cancel</button>
+                <p class="two-factor-error"></p>
+            `;
+        } else if (action === 'enable') {
+            showRecoveryCodes((await postJson('/api/auth/2fa/enable', { code })).recoveryCodes);
+        } else if (action === 'new-codes') {
+            showRecoveryCodes((await postJson('/api/auth/2fa/recovery-codes', { code })).recoveryCodes);
+        } else if (action === 'disable') {
+            const password = document.getElementById('twoFactorPassword').value;
+            await postJson('/api/auth/2fa/disable', { code, password });
+            loadTwoFactor();
+        } else if (action === 'done') {
+            loadTwoFactor();
+        }
+    } catch (error) {
+        showTwoFactorError(error);
+    }
+});
+
+const identityPanel = document.getElementById('identityPanel');
+// Result of connecting Google, from the redirect back here
+const googleLinkResults = {
+    linked: ['identity-message', 'Google is now connected to your account.'],
+    'in-use': ['two-factor-error', 'That Google account is already connected to another account.'],
+    'link-failed': ['two-factor-error', "Google wasn't connected. Please try again."]
+};
+let identityNotice = googleLinkResults[new URLSearchParams(window.location.search).get('google')] || null;
+if (identityNotice) window.history.replaceState(null, '', window.location.pathname);
+
+function renderIdentities(data) {
+    const password = data.identities.find(identity => identity.provider === 'password');
+    const google = data.identities.find(identity => identity.provider === 'google');
+    const notice = identityNotice ? `<p class="${identityNotice[0]}">${escapeHtml(identityNotice[1])}</p>` : '';
+    identityNotice = null;
+    identityPanel.innerHTML = `
+        ${notice}
+        <div class="session-item">
+            <div>
+                <strong>Password</strong>
+                <p>${password.linked ? 'You can sign in with your email and password.' : 'Not set. Add one to sign in without Google.'}</p>
+                ${password.linked ? '' : '<input type="password" id="newPassword" placeholder="New password" autocomplete="new-password">'}
+                ${password.linked && data.canUnlink ? '<input type="password" id="removePassword" placeholder="Current password" autocomplete="current-password">' : ''}
+            </div>
+            ${password.linked
+                ? (data.canUnlink ? '<button class="session-btn" data-action="remove-password">Remove</button>' : '')
+                : '<button class="session-btn primary-btn" data-action="add-password">Add password</button>'}
+        </div>
+        <div class="session-item">
+            <div>
+                <strong>Google</strong>
+                <p>${google.linked ? 'Connected as ' + escapeHtml(google.email) : 'Not connected.'}</p>
+            </div>
+            ${google.linked
+                ? (data.canUnlink ? '<button class="session-btn" data-action="unlink-google">Disconnect</button>' : '')
+                : '<a class="session-btn primary-btn" href="/auth/google/link">Connect Google</a>'}
+        </div>
+        <p class="two-factor-error"></p>
+    `;
+}
+
+async function loadIdentities() {
+    try {
+        const response = await fetch('/api/auth/identities', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load');
+        renderIdentities(await response.json());
+    } catch (error) {
+        identityPanel.innerHTML = '<p>Could not load your sign-in methods.</p>';
+    }
+}
+
+async function removeIdentity(provider, body) {
+    const response = await fetch('/api/auth/identities/' + provider, {
+        method: 'DELETE',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(data?.error || 'Request failed');
+    return data;
+}
+
+identityPanel.addEventListener('click', async (e) => {
+    const action = e.target.dataset.action;
+    if (!action) return;
+    try {
+        let data;
+        if (action === 'add-password') {
+            data = await postJson('/api/auth/identities/password', { password: document.getElementById('newPassword').value });
+        } else if (action === 'remove-password') {
+            if (!confirm('Remove your password? You will only be able to sign in with Google.')) return;
+            data = await removeIdentity('password', { password: document.getElementById('removePassword').value });
+        } else if (action === 'unlink-google') {
+            if (!confirm('Disconnect Google? You will sign in with your email and password.')) return;
+            data = await removeIdentity('google', {});
+        }
+        identityNotice = ['identity-message', data.message];
+        renderIdentities(data);
+        // The password and two-factor settings depend on having a password
+        loadAccount();
+        loadTwoFactor();
+    } catch (error) {
+        identityPanel.querySelector('.two-factor-error').textContent = error.message;
+    }
+});
+
+const accountPanel = document.getElementById('accountPanel');
+let accountHasPassword = false;
+
+function renderAccount(user, notice = null) {
+    accountHasPassword = user.hasPassword;
+    accountPanel.innerHTML = `
+        ${notice ? `<p class="${notice[0]}">${escapeHtml(notice[1])}</p>` : ''}
+        <div class="account-form">
+            <strong>Name</strong>
+            <input type="text" id="accountName" maxlength="100" value="${escapeHtml(user.name)}">
+            <button class="session-btn primary-btn" data-action="save-name">Save</button>
+        </div>
+        <div class="account-form">
+            <strong>Email</strong>
+            <p>${escapeHtml(user.email)}${user.pendingEmail ? ' &middot; waiting for you to confirm ' + escapeHtml(user.pendingEmail) : ''}</p>
+            <input type="email" id="accountEmail" placeholder="New email address" autocomplete="email">
+            ${user.hasPassword ? '<input type="password" id="accountEmailPassword" placeholder="Current password" autocomplete="current-password">' : ''}
+            <button class="session-btn primary-btn" data-action="change-email">Change email</button>
+        </div>
+        ${user.hasPassword ? `
+            <div class="account-form">
+                <strong>Password</strong>
+                <input type="password" id="accountCurrentPassword" placeholder="Current password" autocomplete="current-password">
+                <input type="password" id="accountNewPassword" placeholder="New password" autocomplete="new-password">
+                <button class="session-btn primary-btn" data-action="change-password">Change password</button>
+            </div>
+        ` : ''}
+        <div class="account-form">
+            <strong>Your data</strong>
+            <p>Download your profile and every group you're in, with all their expenses, as a JSON file.</p>
+            <a class="session-btn primary-btn" href="/api/me/export" download>Download my data</a>
+        </div>
+        <div class="account-form">
+            <strong>Delete account</strong>
+            <p>Deletes your account and the groups only you are in. Shared groups you own pass to another member.</p>
+            ${user.hasPassword
+                ? '<input type="password" id="accountDeleteConfirm" placeholder="Current password" autocomplete="current-password">'
+                : '<input type="email" id="accountDeleteConfirm" placeholder="Type your email to confirm">'}
+            <button class="session-btn" data-action="delete-account">Delete my account</button>
+        </div>
+        <p class="two-factor-error"></p>
+    `;
+}
+
+async function loadAccount(notice) {
+    try {
+        const response = await fetch('/api/me', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load');
+        const me = await response.json();
+        renderProfile(me);
+        const password = me.identities.find(identity => identity.provider === 'password');
+        renderAccount({ ...me, hasPassword: password.linked }, notice);
+    } catch (error) {
+        accountPanel.innerHTML = '<p>Could not load your account.</p>';
+    }
+}
+
+async function sendJson(method, path, body) {
+    const response = await fetch(path, {
+        method,
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(data?.error || 'Request failed');
+    return data;
+}
+
+accountPanel.addEventListener('click', async (e) => {
+    const action = e.target.dataset.action;
+    if (!action) return;
+    const value = id => document.getElementById(id)?.value;
+    try {
+        if (action === 'save-name') {
+            await sendJson('PATCH', '/api/me', { name: value('accountName') });
+            loadAccount(['identity-message', 'Your name has been saved.']);
+        } else if (action === 'change-email') {
+            const data = await postJson('/api/me/email', { email: value('accountEmail'), password: value('accountEmailPassword') });
+            loadAccount(['identity-message', data.message]);
+        } else if (action === 'change-password') {
+            const data = await postJson('/api/me/password', {
+                currentPassword: value('accountCurrentPassword'),
+                newPassword: value('accountNewPassword')
+            });
+            loadAccount(['identity-message', data.message]);
+            loadSessions();
+        } else if (action === 'delete-account') {
+            if (!confirm('Permanently delete your account? This cannot be undone.')) return;
+            const confirmation = value('accountDeleteConfirm');
+            await sendJson('DELETE', '/api/me', accountHasPassword ? { password: confirmation } : { confirm: confirmation });
+            alert('Your account has been deleted.');
+            window.location.href = '/';
+        }
+    } catch (error) {
+        accountPanel.querySelector('.two-factor-error').textContent = error.message;
+    }
+});
+
+loadAccount();
+loadStats();
+loadIdentities();
+loadTwoFactor();
+loadSessions();
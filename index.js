@@ -0,0 +1,3712 @@
+/**
+ * Split Bill Calculator app: the basic calculator, simple split and Split Share ledgers
+ * Loaded by index.html after csrf.js. The page has no inline event handlers, which the
+ * Content-Security-Policy blocks; buttons name what they do in data-action attributes instead.
+ */
+
+// Remove loading screen
+window.addEventListener('load', () => {
+    document.getElementById('loading').style.display = 'none';
+});
+
+// Navigation Functions
+function switchTab(tabName) {
+    document.querySelectorAll('.custom-nav-tab').forEach(tab => tab.classList.remove('active'));
+    document.getElementById(`tab-${tabName}`).classList.add('active');
+    document.querySelectorAll('.page').forEach(page => page.classList.remove('active'));
+    document.getElementById(`${tabName}-page`).classList.add('active');
+}
+
+// Attach navigation events
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('tab-basic').addEventListener('click', () => switchTab('basic'));
+    document.getElementById('tab-simple').addEventListener('click', () => switchTab('simple'));
+    document.getElementById('tab-split').addEventListener('click', () => switchTab('split'));
+});
+
+// Utility Functions
+// API paths are relative, so the calculator talks to whichever server it was loaded from
+async function apiRequest(path, options = {}) {
+    const response = await fetch(path, {
+        credentials: 'include',
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    if (response.status === 401) {
+        window.location.href = 'auth.html';
+        throw new Error('Not authenticated');
+    }
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        const error = new Error(data?.error || `Request failed (${response.status})`);
+        error.status = response.status;
+        error.code = data?.code;
+        throw error;
+    }
+    return data;
+}
+
+function showAlert(containerId, message, type = 'error') {
+    const container = document.getElementById(containerId);
+    container.innerHTML = `<div class="alert alert-${type}">${message}</div>`;
+    setTimeout(() => {
+        container.innerHTML = '';
+    }, 5000);
+}
+
+function validateInput(value, type = 'string', min = null, max = null) {
+    if (type === 'string') {
+        return value && value.trim().length > 0 && (max ? value.trim().length <= max : true);
+    } else if (type === 'number') {
+        const num = parseFloat(value);
+        return !isNaN(num) && (min !== null ? num >= min : true) && (max !== null ? num <= max : true);
+    }
+    return false;
+}
+
+// Expression Engine
+// Tokenizes, parses and evaluates arithmetic without eval(). Accepts the calculator's
+// display symbols (×, ÷, −) as well as * / -, parentheses, unary minus and percent.
+class ExpressionError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at position ${position + 1}`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+const EXPRESSION_OPERATORS = { '+': '+', '-': '-', '−': '-', '*': '*', '×': '*', '/': '/', '÷': '/' };
+
+function tokenizeExpression(input) {
+    const tokens = [];
+    let i = 0;
+    while (i < input.length) {
+        const char = input[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (/[0-9.]/.test(char)) {
+            const match = /^(\d+\.?\d*|\.\d+)/.exec(input.slice(i));
+            if (!match) {
+                throw new ExpressionError(`Unexpected '${char}'`, i);
+            }
+            tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+            i += match[0].length;
+        } else if (EXPRESSION_OPERATORS[char]) {
+            tokens.push({ type: 'operator', value: EXPRESSION_OPERATORS[char], position: i });
+            i++;
+        } else if (char === '%' || char === '(' || char === ')') {
+            tokens.push({ type: char, position: i });
+            i++;
+        } else {
+            throw new ExpressionError(`Unexpected '${char}'`, i);
+        }
+    }
+    tokens.push({ type: 'end', position: input.length });
+    return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression such as "1450/3+200" or "1200 + 15%".
+ * A percent added to or subtracted from a value is taken of that value
+ * (1200 + 15% = 1380); anywhere else it just divides by 100.
+ * Throws ExpressionError with the offending position on invalid input.
+ */
+function evaluateExpression(input) {
+    const tokens = tokenizeExpression(String(input));
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    // Each parse step returns { value, isPercent } so additive operators can apply percentages
+    function parseAdditive() {
+        let left = parseMultiplicative();
+        while (peek().type === 'operator' && (peek().value === '+' || peek().value === '-')) {
+            const operator = next().value;
+            const right = parseMultiplicative();
+            const amount = right.isPercent ? left.value * right.value : right.value;
+            left = { value: operator === '+' ? left.value + amount : left.value - amount, isPercent: false };
+        }
+        return left;
+    }
+
+    function parseMultiplicative() {
+        let left = parseUnary();
+        while (peek().type === 'operator' && (peek().value === '*' || peek().value === '/')) {
+            const operatorToken = next();
+            const right = parseUnary();
+            if (operatorToken.value === '/' && right.value === 0) {
+                throw new ExpressionError('Cannot divide by zero', operatorToken.position);
+            }
+            left = {
+                value: operatorToken.value === '*' ? left.value * right.value : left.value / right.value,
+                isPercent: false
+            };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (peek().type === 'operator' && (peek().value === '-' || peek().value === '+')) {
+            const operator = next().value;
+            const operand = parseUnary();
+            return { value: operator === '-' ? -operand.value : operand.value, isPercent: operand.isPercent };
+        }
+        return parsePostfix();
+    }
+
+    function parsePostfix() {
+        let operand = parsePrimary();
+        while (peek().type === '%') {
+            next();
+            operand = { value: operand.value / 100, isPercent: true };
+        }
+        return operand;
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (token.type === 'number') {
+            return { value: token.value, isPercent: false };
+        }
+        if (token.type === '(') {
+            const inner = parseAdditive();
+            if (peek().type !== ')') {
+                throw new ExpressionError("Missing ')'", peek().position);
+            }
+            next();
+            return { value: inner.value, isPercent: false };
+        }
+        if (token.type === 'end') {
+            throw new ExpressionError('Unexpected end of expression', token.position);
+        }
+        const symbol = token.type === 'operator' ? String(input)[token.position] : token.type;
+        throw new ExpressionError(`Unexpected '${symbol}'`, token.position);
+    }
+
+    const result = parseAdditive();
+    if (peek().type !== 'end') {
+        throw new ExpressionError(`Unexpected '${String(input)[peek().position]}'`, peek().position);
+    }
+    if (!isFinite(result.value)) {
+        throw new ExpressionError('Invalid calculation');
+    }
+    return result.value;
+}
+
+// Read an amount field that may contain an expression; NaN when it doesn't evaluate
+function parseAmountInput(value) {
+    if (typeof value !== 'string' || value.trim() === '') return NaN;
+    try {
+        return evaluateExpression(value);
+    } catch (error) {
+        return NaN;
+    }
+}
+
+// Money Helpers
+// Amounts, currencies and split rules live in ledger-math.js, which the server shares
+function formatRate(rate) {
+    return String(Number(rate.toPrecision(6)));
+}
+
+// The smallest amount that can be entered is one minor unit of its currency
+function minimumAmountError(currency) {
+    return `Please enter a valid amount (minimum ${formatMoney(1, currency)})`;
+}
+
+/**
+ * Work out per-person shares of an itemized receipt, in minor units.
+ * Each line is split equally between the people it is assigned to; tax, service charge
+ * and tip are then added, and the discount taken off, in proportion to each person's
+ * item subtotal. Throws an Error with a user-facing message when the receipt is invalid.
+ * @param {Object} receipt - { items: [{ name, priceMinor, quantity, assignedTo }], taxMinor, serviceChargeMinor, tipMinor, discountMinor }
+ * @param {number} [payerId] - Gets odd paisa first, as with other split methods
+ * @returns {{ subtotal: number, total: number, shares: Object }}
+ */
+function splitReceipt(receipt, payerId) {
+    const items = receipt.items || [];
+    if (items.length === 0) {
+        throw new Error('Please add at least one receipt item');
+    }
+
+    const payerFirst = (a, b) => (b === payerId) - (a === payerId);
+    const subtotals = {};
+    items.forEach((item, index) => {
+        const label = item.name || `Item ${index + 1}`;
+        if (!Number.isInteger(item.priceMinor) || item.priceMinor <= 0) {
+            throw new Error(`Please enter a valid price for ${label}`);
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+            throw new Error(`Please enter a whole quantity of at least 1 for ${label}`);
+        }
+        if (!item.assignedTo || item.assignedTo.length === 0) {
+            throw new Error(`Please assign ${label} to at least one person`);
+        }
+        const assignees = [...item.assignedTo].sort(payerFirst).map(String);
+        const lineShares = allocateMinorUnits(item.priceMinor * item.quantity, assignees, assignees.map(() => 1));
+        assignees.forEach(personId => {
+            subtotals[personId] = (subtotals[personId] || 0) + lineShares[personId];
+        });
+    });
+
+    const extras = ['taxMinor', 'serviceChargeMinor', 'tipMinor', 'discountMinor'].map(key => receipt[key] || 0);
+    if (extras.some(value => !Number.isInteger(value) || value < 0)) {
+        throw new Error('Tax, service charge, tip and discount must be zero or more');
+    }
+    const [tax, serviceCharge, tip, discount] = extras;
+
+    const personIds = Object.keys(subtotals).sort((a, b) => payerFirst(parseInt(a), parseInt(b)));
+    const weights = personIds.map(id => subtotals[id]);
+    const subtotal = weights.reduce((sum, value) => sum + value, 0);
+    if (discount > subtotal) {
+        throw new Error('Discount cannot be more than the items subtotal');
+    }
+
+    // Additions and the discount are allocated separately so each stays an exact split
+    const additions = allocateMinorUnits(tax + serviceCharge + tip, personIds, weights);
+    const discounts = allocateMinorUnits(discount, personIds, weights);
+    const shares = {};
+    personIds.forEach(id => {
+        shares[id] = subtotals[id] + (additions[id] || 0) - (discounts[id] || 0);
+    });
+
+    return { subtotal, total: subtotal + tax + serviceCharge + tip - discount, shares };
+}
+
+// CSV Helpers
+/**
+ * Parse CSV text into rows of cells. Quoted cells may contain commas, doubled quotes and line breaks.
+ * @param {string} text - CSV file contents
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Quote cells as needed, and stop text that starts like a formula from running in spreadsheets
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        let cell = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(cell) && isNaN(Number(cell))) {
+            cell = `'${cell}`;
+        }
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Read a plain CSV amount such as 1,234.50 or -12 into minor units; NaN for anything else
+function parseCsvAmount(value) {
+    const text = String(value).trim();
+    if (!/^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(text)) return NaN;
+    return toMinorUnits(text.replace(/,/g, ''));
+}
+
+// Read an imported date as an ISO timestamp; date-only values are taken at local noon
+function parseImportDate(value) {
+    const text = String(value || '').trim();
+    if (text === '') return new Date().toISOString();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T12:00:00`) : new Date(text);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Unrecognised date "${text}"`);
+    }
+    return date.toISOString();
+}
+
+// Today, or another day, as a YYYY-MM-DD key in local time
+function localDateKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDateKey(dateKey) {
+    return new Date(`${dateKey}T12:00:00`).toLocaleDateString();
+}
+
+// Settlement Optimizer
+// Beyond this many people with open balances the exact search gets slow, so a heuristic is used
+const EXACT_SETTLEMENT_LIMIT = 12;
+
+// How many changes a group keeps for undo
+const UNDO_HISTORY_LIMIT = 50;
+
+// How often a shared group, or one with a recurring expense due, is checked for changes on the server
+const GROUP_REFRESH_INTERVAL = 60 * 1000;
+
+// What each role in a shared group may do; mirrors GROUP_ROLES in server.js
+const GROUP_ROLE_PERMISSIONS = {
+    owner: ['manageGroup', 'editSettings', 'editAllEntries', 'addEntries'],
+    editor: ['editSettings', 'editAllEntries', 'addEntries'],
+    member: ['addEntries'],
+    viewer: []
+};
+const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', member: 'Member', viewer: 'Viewer' };
+
+// JSON ledger exports; bump the version when the document shape changes
+const LEDGER_FORMAT = 'split-share-ledger';
+const LEDGER_FORMAT_VERSION = 1;
+
+// Expense categories are free text; the Add Expense form suggests common ones
+const MAX_CATEGORY_LENGTH = 30;
+
+// CSV column roles other than people, as offered in the import mapping
+const IMPORT_COLUMN_ROLES = { date: 'Date', description: 'Description', category: 'Category', cost: 'Cost', currency: 'Currency' };
+
+function settlementPairKey(a, b) {
+    return String(a) < String(b) ? `${a}:${b}` : `${b}:${a}`;
+}
+
+/**
+ * Plan the fewest transfers that bring every balance to zero.
+ * A set of people whose balances sum to zero can always be settled with one transfer
+ * fewer than its size, as long as the pairs allowed to pay each other connect all of
+ * them, so the minimum comes from splitting everyone into as many such sets as possible.
+ * @param {Array} balances - [{ id, balance }] in minor units, summing to zero
+ * @param {Object} [options] - forbidden: Set of settlementPairKey()s that must not pay each other;
+ *     preferred: Map of debtor id to the creditor id they'd rather pay
+ * @returns {{ transfers: Array, exact: boolean, complete: boolean }} - transfers are { from, to, amount }
+ *     by person id; `complete` is false when the rules leave some debts unsettleable
+ */
+function optimizeSettlements(balances, options = {}) {
+    const forbidden = options.forbidden || new Set();
+    const preferred = options.preferred || new Map();
+    const people = balances.filter(p => p.balance !== 0).map(p => ({ ...p }));
+    const allowed = (a, b) => !forbidden.has(settlementPairKey(a.id, b.id));
+
+    if (people.length > EXACT_SETTLEMENT_LIMIT) {
+        return { ...settleGreedily(people, balances, allowed, preferred), exact: false };
+    }
+
+    const full = (1 << people.length) - 1;
+    const bitIndex = bit => 31 - Math.clz32(bit);
+    const sums = new Array(full + 1).fill(0);
+    for (let mask = 1; mask <= full; mask++) {
+        const low = mask & -mask;
+        sums[mask] = sums[mask ^ low] + people[bitIndex(low)].balance;
+    }
+
+    const connectedCache = new Map();
+    const isConnected = mask => {
+        if (connectedCache.has(mask)) return connectedCache.get(mask);
+        let reached = mask & -mask;
+        let frontier = [bitIndex(reached)];
+        while (frontier.length > 0) {
+            const next = [];
+            frontier.forEach(i => {
+                for (let j = 0; j < people.length; j++) {
+                    const bit = 1 << j;
+                    if ((mask & bit) && !(reached & bit) && allowed(people[i], people[j])) {
+                        reached |= bit;
+                        next.push(j);
+                    }
+                }
+            });
+            frontier = next;
+        }
+        connectedCache.set(mask, reached === mask);
+        return reached === mask;
+    };
+
+    // mostParts[mask]: most settleable sets `mask` splits into (-1 when it can't be split)
+    const mostParts = new Array(full + 1).fill(-1);
+    const firstPart = new Array(full + 1).fill(0);
+    mostParts[0] = 0;
+    for (let mask = 1; mask <= full; mask++) {
+        if (sums[mask] !== 0) continue;
+        const low = mask & -mask;
+        for (let part = mask; part; part = (part - 1) & mask) {
+            const rest = mask ^ part;
+            if (!(part & low) || sums[part] !== 0 || mostParts[rest] < 0 || mostParts[rest] + 1 <= mostParts[mask]) continue;
+            if (isConnected(part)) {
+                mostParts[mask] = mostParts[rest] + 1;
+                firstPart[mask] = part;
+            }
+        }
+    }
+
+    if (mostParts[full] < 0) {
+        return { ...settleGreedily(people, balances, allowed, preferred), exact: false };
+    }
+
+    const transfers = [];
+    for (let mask = full; mask; mask ^= firstPart[mask]) {
+        const members = people.filter((_, i) => firstPart[mask] & (1 << i));
+        transfers.push(...settleAlongTree(members, allowed, preferred));
+    }
+    return { transfers, exact: true, complete: true };
+}
+
+// Settle a zero-sum, connected set with one transfer per edge of a spanning tree
+function settleAlongTree(members, allowed, preferred) {
+    // Cheapest edges first: preferred payee, then any debtor/creditor pair, then pass-through
+    const edgeCost = (a, b) => {
+        const [debtor, creditor] = a.balance < 0 ? [a, b] : [b, a];
+        if (Math.sign(a.balance) === Math.sign(b.balance)) return 2;
+        return preferred.get(debtor.id) === creditor.id ? 0 : 1;
+    };
+    const edges = [];
+    for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+            if (allowed(members[i], members[j])) {
+                edges.push({ a: i, b: j, cost: edgeCost(members[i], members[j]) });
+            }
+        }
+    }
+    edges.sort((x, y) => x.cost - y.cost);
+
+    const root = members.map((_, i) => i);
+    const find = i => root[i] === i ? i : (root[i] = find(root[i]));
+    const neighbours = members.map(() => new Set());
+    edges.forEach(({ a, b }) => {
+        if (find(a) !== find(b)) {
+            root[find(a)] = find(b);
+            neighbours[a].add(b);
+            neighbours[b].add(a);
+        }
+    });
+
+    // Peel off leaves: a leaf's whole balance must move along its only edge
+    const balance = members.map(m => m.balance);
+    const transfers = [];
+    const leaves = members.map((_, i) => i).filter(i => neighbours[i].size === 1);
+    while (leaves.length > 0) {
+        const leaf = leaves.pop();
+        if (neighbours[leaf].size !== 1) continue;
+        const [other] = neighbours[leaf];
+        const amount = Math.abs(balance[leaf]);
+        if (amount > 0) {
+            const [from, to] = balance[leaf] < 0 ? [leaf, other] : [other, leaf];
+            transfers.push({ from: members[from].id, to: members[to].id, amount });
+            balance[from] += amount;
+            balance[to] -= amount;
+        }
+        neighbours[leaf].delete(other);
+        neighbours[other].delete(leaf);
+        if (neighbours[other].size === 1) {
+            leaves.push(other);
+        }
+    }
+    return transfers;
+}
+
+// Heuristic for large groups, or when the rules make an exact plan impossible
+function settleGreedily(people, everyone, allowed, preferred) {
+    const transfers = [];
+    const pay = (from, to, amount) => {
+        transfers.push({ from: from.id, to: to.id, amount });
+        from.balance += amount;
+        to.balance -= amount;
+    };
+    const debtors = () => people.filter(p => p.balance < 0).sort((a, b) => a.balance - b.balance);
+    const creditors = () => people.filter(p => p.balance > 0).sort((a, b) => b.balance - a.balance);
+
+    // Exact matches first: each settles two people with a single transfer
+    debtors().forEach(debtor => {
+        const match = creditors().find(c => c.balance === -debtor.balance && allowed(debtor, c));
+        if (match) pay(debtor, match, match.balance);
+    });
+
+    // Then pay the preferred creditor, and otherwise the largest ones
+    debtors().forEach(debtor => {
+        const isPreferred = creditor => preferred.get(debtor.id) === creditor.id;
+        creditors()
+            .filter(creditor => allowed(debtor, creditor))
+            .sort((a, b) => isPreferred(b) - isPreferred(a))
+            .forEach(creditor => {
+                if (debtor.balance < 0 && creditor.balance > 0) {
+                    pay(debtor, creditor, Math.min(-debtor.balance, creditor.balance));
+                }
+            });
+    });
+
+    // Whatever is left is only owed across forbidden pairs: route it through someone allowed to deal with both
+    debtors().forEach(debtor => {
+        creditors().forEach(creditor => {
+            const via = everyone.find(k => k.id !== debtor.id && k.id !== creditor.id &&
+                allowed(debtor, k) && allowed(k, creditor));
+            if (!via || debtor.balance === 0) return;
+            const amount = Math.min(-debtor.balance, creditor.balance);
+            transfers.push({ from: debtor.id, to: via.id, amount }, { from: via.id, to: creditor.id, amount });
+            debtor.balance += amount;
+            creditor.balance -= amount;
+        });
+    });
+
+    return { transfers, complete: people.every(p => p.balance === 0) };
+}
+
+// Basic Calculator Class
+class BasicCalculator {
+    constructor() {
+        this.expression = '0';
+        this.result = '0';
+        this.lastWasOperator = false;
+        this.lastWasEquals = false;
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.expressionElement = document.getElementById('calcExpression');
+        this.resultElement = document.getElementById('calcResult');
+        this.errorElement = document.getElementById('calcError');
+    }
+
+    attachEventListeners() {
+        // Keyboard support
+        document.addEventListener('keydown', (e) => {
+            if (document.getElementById('basic-page').classList.contains('active')) {
+                this.handleKeyboardInput(e);
+            }
+        });
+    }
+
+    handleKeyboardInput(e) {
+        const key = e.key;
+        
+        if (key >= '0' && key <= '9') {
+            this.appendNumber(key);
+        } else if (key === '.') {
+            this.appendDecimal();
+        } else if (key === '+') {
+            this.setOperator('+');
+        } else if (key === '-') {
+            this.setOperator('−');
+        } else if (key === '*') {
+            this.setOperator('×');
+        } else if (key === '/') {
+            this.setOperator('÷');
+        } else if (key === '(' || key === ')') {
+            this.appendParenthesis(key);
+        } else if (key === '%') {
+            this.appendPercent();
+        } else if (key === 'Enter' || key === '=') {
+            this.calculate();
+        } else if (key === 'Escape') {
+            this.clear();
+        } else if (key === 'Backspace') {
+            this.backspace();
+        }
+    }
+
+    appendNumber(num) {
+        if (this.lastWasEquals) {
+            this.clear();
+        }
+        
+        if (this.expression === '0' && num !== '.') {
+            this.expression = num;
+        } else {
+            this.expression += num;
+        }
+        
+        this.lastWasOperator = false;
+        this.updateDisplay();
+        this.calculateRealTime();
+    }
+
+    appendDecimal() {
+        if (this.lastWasEquals) {
+            this.clear();
+        }
+        
+        // Check if current number already has a decimal
+        const parts = this.expression.split(/[+\-−×÷()%]/);
+        const currentNumber = parts[parts.length - 1];
+        
+        if (!currentNumber.includes('.')) {
+            this.expression += '.';
+            this.lastWasOperator = false;
+            this.updateDisplay();
+        }
+    }
+
+    setOperator(operator) {
+        if (this.lastWasEquals) {
+            this.expression = this.result;
+            this.lastWasEquals = false;
+        }
+        
+        const lastChar = this.expression.slice(-1);
+        if (operator === '−' && (this.expression === '0' || lastChar === '(')) {
+            // Start a negative number
+            this.expression = this.expression === '0' ? '−' : this.expression + '−';
+        } else if (operator === '−' && (lastChar === '×' || lastChar === '÷')) {
+            // Negate the next operand, e.g. 5×−3
+            this.expression += operator;
+        } else if (lastChar === '(') {
+            return;
+        } else if (this.lastWasOperator) {
+            // Replace the last operator (and a pending unary minus) if one was just entered
+            this.expression = this.expression.replace(/[+−×÷]+$/, '') + operator;
+        } else {
+            this.expression += operator;
+        }
+        
+        this.lastWasOperator = true;
+        this.updateDisplay();
+    }
+
+    appendParenthesis(paren) {
+        if (this.lastWasEquals) {
+            this.lastWasEquals = false;
+            if (paren === '(') {
+                this.expression = '0';
+            }
+        }
+        
+        if (paren === '(') {
+            this.expression = this.expression === '0' ? '(' : this.expression + '(';
+            this.lastWasOperator = false;
+        } else {
+            const open = (this.expression.match(/\(/g) || []).length;
+            const close = (this.expression.match(/\)/g) || []).length;
+            if (open <= close || this.lastWasOperator || this.expression.endsWith('(')) {
+                return;
+            }
+            this.expression += ')';
+        }
+        
+        this.updateDisplay();
+        this.calculateRealTime();
+    }
+
+    appendPercent() {
+        if (this.lastWasEquals) {
+            this.lastWasEquals = false;
+        }
+        if (!/[0-9.)]$/.test(this.expression)) {
+            return;
+        }
+        this.expression += '%';
+        this.lastWasOperator = false;
+        this.updateDisplay();
+        this.calculateRealTime();
+    }
+
+    clear() {
+        this.expression = '0';
+        this.result = '0';
+        this.lastWasOperator = false;
+        this.lastWasEquals = false;
+        this.hideError();
+        this.updateDisplay();
+    }
+
+    backspace() {
+        if (this.lastWasEquals) {
+            this.clear();
+            return;
+        }
+        
+        this.expression = this.expression.slice(0, -1);
+        
+        if (this.expression === '' || this.expression === '−') {
+            this.expression = '0';
+        }
+        
+        this.lastWasOperator = this.isOperator(this.expression.slice(-1));
+        this.updateDisplay();
+        this.calculateRealTime();
+    }
+
+    isOperator(char) {
+        return ['+', '−', '×', '÷'].includes(char);
+    }
+
+    calculate() {
+        try {
+            const calculatedResult = evaluateExpression(this.expression);
+            
+            this.result = this.formatResult(calculatedResult);
+            this.expression = this.result.replace(/-/g, '−');
+            this.lastWasEquals = true;
+            this.lastWasOperator = false;
+            this.hideError();
+            this.updateDisplay();
+            
+        } catch (error) {
+            this.showError(error instanceof ExpressionError ? error.message : 'Invalid expression');
+        }
+    }
+
+    calculateRealTime() {
+        // Only calculate if expression ends with a number
+        if (this.lastWasOperator || this.expression === '0') {
+            return;
+        }
+        try {
+            this.result = this.formatResult(evaluateExpression(this.expression));
+            this.resultElement.textContent = this.result;
+            this.hideError();
+        } catch (error) {
+            // Silently fail for real-time calculation (e.g. unclosed parentheses)
+        }
+    }
+
+    // Trim binary floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+    formatResult(value) {
+        return parseFloat(value.toPrecision(12)).toString();
+    }
+
+    showError(message) {
+        this.errorElement.textContent = message;
+        this.errorElement.style.display = 'block';
+    }
+
+    hideError() {
+        this.errorElement.style.display = 'none';
+    }
+
+    updateDisplay() {
+        this.expressionElement.textContent = this.expression;
+        this.resultElement.textContent = this.result;
+    }
+}
+
+// Simple Calculator Class
+class SimpleCalculator {
+    constructor() {
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.billAmount = document.getElementById('billAmount');
+        this.numPeople = document.getElementById('numPeople');
+        this.tipPercentage = document.getElementById('tipPercentage');
+        this.customTip = document.getElementById('customTip');
+        this.customTipGroup = document.getElementById('customTipGroup');
+        this.calculateBtn = document.getElementById('calculateBtn');
+        this.randomPayerBtn = document.getElementById('randomPayerBtn');
+        this.results = document.getElementById('results');
+        this.payerResult = document.getElementById('payerResult');
+        
+        this.perPersonAmount = document.getElementById('perPersonAmount');
+        this.totalWithTip = document.getElementById('totalWithTip');
+        this.tipAmount = document.getElementById('tipAmount');
+        this.selectedPayer = document.getElementById('selectedPayer');
+    }
+
+    attachEventListeners() {
+        this.calculateBtn.addEventListener('click', () => this.calculate());
+        this.randomPayerBtn.addEventListener('click', () => this.assignRandomPayer());
+        
+        this.tipPercentage.addEventListener('change', () => {
+            if (this.tipPercentage.value === 'custom') {
+                this.customTipGroup.style.display = 'block';
+                this.customTip.focus();
+            } else {
+                this.customTipGroup.style.display = 'none';
+                this.customTip.value = '';
+            }
+        });
+
+        // Real-time calculation
+        [this.billAmount, this.numPeople, this.customTip].forEach(input => {
+            input.addEventListener('input', () => {
+                if (this.isValidInput()) {
+                    this.calculate();
+                }
+            });
+        });
+
+        this.tipPercentage.addEventListener('change', () => {
+            if (this.isValidInput()) {
+                this.calculate();
+            }
+        });
+    }
+
+    isValidInput() {
+        const bill = toMinorUnits(parseFloat(this.billAmount.value));
+        const people = parseInt(this.numPeople.value);
+        return bill > 0 && people > 0;
+    }
+
+    // Tip in minor units
+    getTipAmount(billMinor) {
+        if (this.tipPercentage.value === 'custom') {
+            return Math.max(toMinorUnits(parseFloat(this.customTip.value)) || 0, 0);
+        } else {
+            const percentage = parseFloat(this.tipPercentage.value) || 0;
+            return Math.round((billMinor * percentage) / 100);
+        }
+    }
+
+    calculate() {
+        if (!this.isValidInput()) {
+            this.results.style.display = 'none';
+            this.payerResult.style.display = 'none';
+            return;
+        }
+
+        const bill = toMinorUnits(parseFloat(this.billAmount.value));
+        const people = parseInt(this.numPeople.value);
+        const tip = this.getTipAmount(bill);
+        const total = bill + tip;
+
+        // Someone has to cover the odd paisa, so show both amounts when it doesn't divide evenly
+        const base = Math.floor(total / people);
+        const extra = total % people;
+        this.perPersonAmount.textContent = extra === 0
+            ? formatMoney(base)
+            : `${formatMoney(base + 1)} ×${extra}, ${formatMoney(base)} ×${people - extra}`;
+        this.totalWithTip.textContent = formatMoney(total);
+        this.tipAmount.textContent = formatMoney(tip);
+
+        this.results.style.display = 'block';
+    }
+
+    assignRandomPayer() {
+        const people = parseInt(this.numPeople.value);
+        if (people > 0) {
+            const randomPerson = Math.floor(Math.random() * people) + 1;
+            this.selectedPayer.textContent = `Person ${randomPerson} pays the bill! 🎉`;
+            this.payerResult.style.display = 'block';
+        } else {
+            alert('Please enter the number of people first!');
+        }
+    }
+}
+
+// Split Share Class
+class SplitShare {
+    constructor() {
+        this.groups = [];
+        this.groupId = null;
+        this.groupModalMode = 'create';
+        this.splitMethod = 'equal';
+        this.receiptItems = [];
+        this.people = [];
+        this.expenses = [];
+        this.payments = [];
+        this.recurring = [];
+        this.syncedAt = '';
+        this.userId = null;
+        this.userEmail = '';
+        this.emailVerified = true;
+        this.role = 'owner';
+        this.personId = null;
+        this.members = [];
+        this.invites = [];
+        this.pendingInvites = [];
+        this.revision = 0;
+        this.pendingPayment = null;
+        this.settlementRules = { forbiddenPairs: [], preferLastPayer: false };
+        this.settlementPlan = 'simple';
+        this.baseCurrency = DEFAULT_CURRENCY;
+        this.currencyRates = {};
+        this.editingExpenseId = null;
+        this.pendingImport = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.saveQueue = Promise.resolve();
+        this.initializeElements();
+        this.attachEventListeners();
+        this.render();
+        this.loadData();
+    }
+
+    initializeElements() {
+        this.groupSelect = document.getElementById('groupSelect');
+        this.archiveGroupBtn = document.getElementById('archiveGroupBtn');
+        this.groupArchivedNote = document.getElementById('groupArchivedNote');
+        this.groupSharingNote = document.getElementById('groupSharingNote');
+        this.peopleGrid = document.getElementById('peopleGrid');
+        this.expenseSection = document.getElementById('expenseSection');
+        this.expensesSection = document.getElementById('expensesSection');
+        this.expensesList = document.getElementById('expensesList');
+        this.settlementsSection = document.getElementById('settlementsSection');
+        this.settlementsList = document.getElementById('settlementsList');
+        this.simplePlanBtn = document.getElementById('simplePlanBtn');
+        this.optimizedPlanBtn = document.getElementById('optimizedPlanBtn');
+        this.forbiddenPairsList = document.getElementById('forbiddenPairsList');
+        this.preferLastPayerInput = document.getElementById('preferLastPayer');
+        this.clearAllPeopleBtn = document.getElementById('clearAllPeopleBtn');
+        this.clearAllExpensesBtn = document.getElementById('clearAllExpensesBtn');
+        this.baseCurrencySelect = document.getElementById('baseCurrencySelect');
+        this.currencyRatesList = document.getElementById('currencyRatesList');
+        this.expenseCurrencySelect = document.getElementById('expenseCurrency');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+    }
+
+    attachEventListeners() {
+        this.groupSelect.addEventListener('change', () => this.switchGroup(this.groupSelect.value));
+        document.getElementById('newGroupBtn').addEventListener('click', () => this.openGroupModal('create'));
+        document.getElementById('renameGroupBtn').addEventListener('click', () => this.openGroupModal('rename'));
+        this.archiveGroupBtn.addEventListener('click', () => this.toggleArchiveGroup());
+        document.getElementById('deleteGroupBtn').addEventListener('click', () => this.deleteGroup());
+        document.getElementById('leaveGroupBtn').addEventListener('click', () => this.leaveGroup());
+        document.getElementById('membersBtn').addEventListener('click', () => this.openMembersModal());
+        document.getElementById('copyInviteLinkBtn').addEventListener('click', () => {
+            const input = document.getElementById('inviteLink');
+            input.select();
+            navigator.clipboard?.writeText(input.value);
+        });
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        this.baseCurrencySelect.addEventListener('change', () => this.changeBaseCurrency(this.baseCurrencySelect.value));
+        document.getElementById('setRateBtn').addEventListener('click', () => this.setCurrencyRate(
+            document.getElementById('rateCurrencySelect').value,
+            document.getElementById('rateValueInput').value
+        ));
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportCsv());
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportJson());
+        document.getElementById('importBtn').addEventListener('click', () => this.openImportModal());
+        document.getElementById('importFile').addEventListener('change', (e) => this.readImportFile(e.target.files[0]));
+        document.getElementById('importMapping').addEventListener('change', (e) => {
+            if (e.target.dataset.column !== undefined && this.pendingImport) {
+                this.pendingImport.mapping[parseInt(e.target.dataset.column)] = e.target.value;
+                this.renderImport();
+            }
+        });
+        document.getElementById('addPersonBtn').addEventListener('click', () => this.openAddPersonModal());
+        document.getElementById('addExpenseBtn').addEventListener('click', () => this.openAddExpenseModal());
+        this.clearAllPeopleBtn.addEventListener('click', () => this.clearAllPeople());
+        this.clearAllExpensesBtn.addEventListener('click', () => this.clearAllExpenses());
+
+        // Settlement plan and rules
+        this.simplePlanBtn.addEventListener('click', () => this.setSettlementPlan('simple'));
+        this.optimizedPlanBtn.addEventListener('click', () => this.setSettlementPlan('optimized'));
+        document.getElementById('addForbiddenPairBtn').addEventListener('click', () => this.addForbiddenPair(
+            parseInt(document.getElementById('ruleFirstPerson').value),
+            parseInt(document.getElementById('ruleSecondPerson').value)
+        ));
+        this.preferLastPayerInput.addEventListener('change', () => {
+            this.settlementRules.preferLastPayer = this.preferLastPayerInput.checked;
+            this.saveSettlementRules();
+        });
+
+        // Split method toggle event listeners
+        document.getElementById('equalSplitBtn').addEventListener('click', () => this.setSplitMethod('equal'));
+        document.getElementById('customSplitBtn').addEventListener('click', () => this.setSplitMethod('custom'));
+        document.getElementById('itemizedSplitBtn').addEventListener('click', () => this.setSplitMethod('itemized'));
+
+        // Receipt editing for itemized splits
+        document.getElementById('addReceiptItemBtn').addEventListener('click', () => this.addReceiptItem());
+        const receiptItems = document.getElementById('receiptItems');
+        receiptItems.addEventListener('input', (e) => this.updateReceiptItem(e.target));
+        receiptItems.addEventListener('change', (e) => this.updateReceiptItem(e.target));
+        receiptItems.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.receipt-item-remove');
+            if (removeBtn) {
+                this.removeReceiptItem(parseInt(removeBtn.dataset.index));
+            }
+        });
+        document.querySelectorAll('.receipt-extra-input').forEach(input => {
+            input.addEventListener('input', () => this.validateReceipt());
+        });
+        // The payer absorbs odd paisa, so split previews depend on who paid
+        document.getElementById('expensePaidBy').addEventListener('change', () => this.validateCustomShares());
+        
+        // Share mode change listener
+        document.getElementById('shareMode').addEventListener('change', () => {
+            this.renderCustomShares();
+            this.validateCustomShares();
+        });
+
+        // Amount change listener for validation
+        const expenseAmountInput = document.getElementById('expenseAmount');
+        expenseAmountInput.addEventListener('input', () => {
+            if (document.getElementById('customSplitBtn').classList.contains('active')) {
+                this.validateCustomShares();
+            }
+            this.renderExpenseConversion();
+        });
+
+        // Switching currency picks up the group's rate, which can then be adjusted for this expense
+        this.expenseCurrencySelect.addEventListener('change', () => {
+            const currency = this.expenseCurrencySelect.value;
+            document.getElementById('expenseRate').value = currency === this.baseCurrency ? '1' : formatRate(this.currencyRates[currency] || 1);
+            this.renderExpenseConversion();
+            this.validateCustomShares();
+        });
+        document.getElementById('expenseRate').addEventListener('input', () => this.renderExpenseConversion());
+        document.getElementById('expenseRepeat').addEventListener('change', () => this.renderRepeatOptions());
+
+        // Pick up other members' changes and recurring expenses the server adds while the page is open
+        setInterval(() => this.refreshGroup(), GROUP_REFRESH_INTERVAL);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.refreshGroup();
+        });
+
+        // Replace a typed expression such as 1450/3+200 with its result
+        expenseAmountInput.addEventListener('blur', () => {
+            const amount = toMinorUnits(parseAmountInput(expenseAmountInput.value));
+            if (!isNaN(amount) && !/^\s*\d*\.?\d*\s*$/.test(expenseAmountInput.value)) {
+                expenseAmountInput.value = (amount / 100).toFixed(2);
+            }
+        });
+
+        // Undo/redo shortcuts; text fields and open modals keep their own Ctrl+Z
+        document.addEventListener('keydown', (e) => {
+            if (!document.getElementById('split-page').classList.contains('active')) return;
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('input, textarea, select') || document.querySelector('.modal.active')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    escapeHtml(str) {
+        if (typeof str !== 'string') return '';
+        return str
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    // Ledger data lives on the server so it survives logout and works across devices
+    async loadData() {
+        try {
+            this.groups = await apiRequest('/api/groups');
+            if (this.groups.length === 0) {
+                this.groups.push(await this.requestNewGroup('My Group'));
+            }
+            const storedId = localStorage.getItem('splitShareActiveGroup');
+            const group = this.groups.find(g => g.id === storedId)
+                || this.groups.find(g => !g.archived)
+                || this.groups[0];
+            this.applyGroup(group);
+        } catch (error) {
+            console.error('Error loading data:', error);
+        }
+        this.loadPendingInvites();
+        this.loadVerificationStatus();
+    }
+
+    requestNewGroup(name) {
+        return apiRequest('/api/groups', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+    }
+
+    // Make a group's ledger the active state of the Split Share page
+    applyGroup(group) {
+        this.groupId = group.id;
+        this.baseCurrency = group.baseCurrency || DEFAULT_CURRENCY;
+        this.currencyRates = group.currencyRates || {};
+        this.people = group.people || [];
+        this.expenses = (group.expenses || []).map(expense => normalizeExpense(expense, this.baseCurrency));
+        this.payments = (group.payments || []).map(payment => normalizeCurrency(payment, this.baseCurrency));
+        this.recurring = group.recurring || [];
+        this.syncedAt = this.latestGeneratedAt(this.expenses, '');
+        this.applyMembership(group);
+        this.revision = group.revision || 0;
+        this.settlementRules = group.settlementRules || { forbiddenPairs: [], preferLastPayer: false };
+        // Undo history belongs to the group it was recorded in
+        this.undoStack = [];
+        this.redoStack = [];
+        localStorage.setItem('splitShareActiveGroup', group.id);
+        this.updateBalances();
+        this.render();
+    }
+
+    getActiveGroup() {
+        return this.groups.find(g => g.id === this.groupId) || null;
+    }
+
+    async switchGroup(id) {
+        if (id === this.groupId) return;
+        try {
+            // Let pending saves for the current group finish before its state is replaced
+            await this.saveQueue;
+            const group = await apiRequest(`/api/groups/${encodeURIComponent(id)}`);
+            this.groups = this.groups.map(g => g.id === group.id ? group : g);
+            this.applyGroup(group);
+        } catch (error) {
+            console.error('Error switching group:', error);
+            alert('Could not load that group. Please try again.');
+            this.renderGroupPicker();
+        }
+    }
+
+    openGroupModal(mode) {
+        const activeGroup = this.getActiveGroup();
+        if (mode === 'rename' && !activeGroup) return;
+        this.groupModalMode = mode;
+        document.getElementById('groupModalTitle').textContent = mode === 'rename' ? 'Rename Group' : 'New Group';
+        document.getElementById('groupModalSubmitBtn').textContent = mode === 'rename' ? 'Save Name' : 'Create Group';
+        document.getElementById('groupModalAlert').innerHTML = '';
+        document.getElementById('groupName').value = mode === 'rename' ? activeGroup.name : '';
+        document.getElementById('groupModal').classList.add('active');
+        document.getElementById('groupName').focus();
+    }
+
+    async saveGroupName(name) {
+        const trimmedName = name.trim();
+        if (!validateInput(trimmedName, 'string', null, 50)) {
+            showAlert('groupModalAlert', 'Please enter a valid group name (1-50 characters)');
+            return false;
+        }
+        try {
+            if (this.groupModalMode === 'rename') {
+                const group = await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ name: trimmedName })
+                });
+                this.groups = this.groups.map(g => g.id === group.id ? { ...g, name: group.name } : g);
+                this.renderGroupPicker();
+            } else {
+                await this.saveQueue;
+                const group = await this.requestNewGroup(trimmedName);
+                this.groups.push(group);
+                this.applyGroup(group);
+            }
+            return true;
+        } catch (error) {
+            showAlert('groupModalAlert', error.message || 'Failed to save group');
+            return false;
+        }
+    }
+
+    async toggleArchiveGroup() {
+        const activeGroup = this.getActiveGroup();
+        if (!activeGroup) return;
+        try {
+            const group = await apiRequest(`/api/groups/${encodeURIComponent(activeGroup.id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ archived: !activeGroup.archived })
+            });
+            this.groups = this.groups.map(g => g.id === group.id ? { ...g, archived: group.archived } : g);
+            this.renderGroupPicker();
+        } catch (error) {
+            console.error('Error archiving group:', error);
+            alert('Could not update the group. Please try again.');
+        }
+    }
+
+    async deleteGroup() {
+        const activeGroup = this.getActiveGroup();
+        if (!activeGroup) return;
+        if (!confirm(`Delete "${activeGroup.name}" with all its people and expenses? This cannot be undone.`)) {
+            return;
+        }
+        try {
+            await this.saveQueue;
+            await apiRequest(`/api/groups/${encodeURIComponent(activeGroup.id)}`, { method: 'DELETE' });
+            this.groups = this.groups.filter(g => g.id !== activeGroup.id);
+            await this.openNextGroup();
+        } catch (error) {
+            console.error('Error deleting group:', error);
+            alert('Could not delete the group. Please try again.');
+        }
+    }
+
+    // Show another group once the active one is gone, creating one if none are left
+    async openNextGroup() {
+        if (this.groups.length === 0) {
+            this.groups.push(await this.requestNewGroup('My Group'));
+        }
+        const nextGroup = this.groups.find(g => !g.archived) || this.groups[0];
+        this.groupId = null;
+        await this.switchGroup(nextGroup.id);
+    }
+
+    // Replace the local copy of a group with the server's, e.g. after another member changed it
+    async reloadGroup(id = this.groupId) {
+        try {
+            const group = await apiRequest(`/api/groups/${encodeURIComponent(id)}`);
+            this.groups = this.groups.map(g => g.id === group.id ? group : g);
+            if (group.id === this.groupId) this.applyGroup(group);
+        } catch (error) {
+            console.error('Error reloading group:', error);
+        }
+    }
+
+    saveData() {
+        if (!this.groupId) return this.saveQueue;
+        // Snapshot now and send in order, so a slow request can't overwrite a newer one
+        const groupId = this.groupId;
+        const ledger = JSON.parse(JSON.stringify({
+            people: this.people,
+            expenses: this.expenses,
+            payments: this.payments
+        }));
+        const syncedAt = this.syncedAt;
+        // The whole ledger goes in one request, so a failed save can't leave the group half-saved.
+        // Sending the revision this page last saw lets the server refuse a save that would
+        // overwrite another member's change.
+        this.saveQueue = this.saveQueue
+            .then(() => apiRequest(`/api/groups/${encodeURIComponent(groupId)}/ledger`, {
+                method: 'PUT',
+                body: JSON.stringify({ ...ledger, syncedAt, revision: this.revision })
+            }))
+            .then(saved => {
+                if (groupId !== this.groupId) return;
+                this.revision = saved.revision;
+                // The server keeps recurring expenses it added that this page hadn't seen yet
+                this.ingestGeneratedExpenses(saved.expenses);
+            })
+            .catch(error => {
+                console.error('Error saving data:', error);
+                if (error.status === 400 || error.status === 403 || error.status === 409) {
+                    // Show the group as the server has it rather than keep a change that wasn't saved
+                    alert(error.message);
+                    return this.reloadGroup(groupId);
+                }
+                alert('Could not save your changes to the server. Please check your connection.');
+            });
+        return this.saveQueue;
+    }
+
+    // Undo/Redo Management
+    snapshotLedger(label) {
+        return JSON.parse(JSON.stringify({
+            label,
+            people: this.people,
+            expenses: this.expenses,
+            payments: this.payments,
+            settlementRules: this.settlementRules,
+            baseCurrency: this.baseCurrency,
+            currencyRates: this.currencyRates
+        }));
+    }
+
+    /**
+     * Remember the ledger as it is before a change, so the change can be undone
+     * @param {string} label - What the change does, e.g. 'delete expense "Dinner"'
+     */
+    recordHistory(label) {
+        this.undoStack.push(this.snapshotLedger(label));
+        if (this.undoStack.length > UNDO_HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    restoreLedger(snapshot) {
+        const rulesChanged = JSON.stringify(snapshot.settlementRules) !== JSON.stringify(this.settlementRules);
+        this.people = snapshot.people;
+        this.expenses = snapshot.expenses;
+        this.payments = snapshot.payments;
+        this.settlementRules = snapshot.settlementRules;
+        if (rulesChanged) {
+            this.saveSettlementRules();
+        }
+        // Amounts were rebased along with the base currency, so the two go back together
+        if (snapshot.baseCurrency !== this.baseCurrency) {
+            this.baseCurrency = snapshot.baseCurrency;
+            this.currencyRates = snapshot.currencyRates;
+            this.saveCurrencySettings();
+        }
+        this.updateBalances();
+        this.saveData();
+        this.render();
+    }
+
+    undo() {
+        const snapshot = this.undoStack.pop();
+        if (!snapshot) return;
+        this.redoStack.push(this.snapshotLedger(snapshot.label));
+        this.restoreLedger(snapshot);
+    }
+
+    redo() {
+        const snapshot = this.redoStack.pop();
+        if (!snapshot) return;
+        this.undoStack.push(this.snapshotLedger(snapshot.label));
+        this.restoreLedger(snapshot);
+    }
+
+    renderHistoryButtons() {
+        const undoEntry = this.undoStack[this.undoStack.length - 1];
+        const redoEntry = this.redoStack[this.redoStack.length - 1];
+        this.undoBtn.disabled = !undoEntry;
+        this.redoBtn.disabled = !redoEntry;
+        this.undoBtn.title = undoEntry ? `Undo ${undoEntry.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        this.redoBtn.title = redoEntry ? `Redo ${redoEntry.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    render() {
+        this.renderGroupPicker();
+        this.renderHistoryButtons();
+        this.renderCurrencySettings();
+        this.renderPeople();
+        this.renderExpenses();
+        this.renderSettlements();
+        this.updateSectionVisibility();
+        this.renderPermissions();
+    }
+
+    updateSectionVisibility() {
+        const hasPeople = this.people.length > 0;
+        const hasExpenses = this.expenses.length > 0 || this.payments.length > 0 || this.recurring.length > 0;
+        
+        this.expenseSection.style.display = hasPeople && this.can('addEntries') ? 'block' : 'none';
+        this.expensesSection.style.display = hasExpenses ? 'block' : 'none';
+        this.settlementsSection.style.display = hasExpenses ? 'block' : 'none';
+    }
+
+    renderGroupPicker() {
+        const activeGroups = this.groups.filter(g => !g.archived);
+        const archivedGroups = this.groups.filter(g => g.archived);
+        const toOption = group => {
+            const shared = (group.members || []).length > 1 ? ' 👥' : '';
+            return `<option value="${this.escapeHtml(group.id)}">${this.escapeHtml(group.name)}${shared}</option>`;
+        };
+
+        this.groupSelect.innerHTML = activeGroups.map(toOption).join('') +
+            (archivedGroups.length > 0 ? `<optgroup label="Archived">${archivedGroups.map(toOption).join('')}</optgroup>` : '');
+        if (this.groupId) {
+            this.groupSelect.value = this.groupId;
+        }
+
+        const activeGroup = this.getActiveGroup();
+        this.archiveGroupBtn.textContent = activeGroup && activeGroup.archived ? 'Unarchive' : 'Archive';
+        this.groupArchivedNote.style.display = activeGroup && activeGroup.archived ? 'block' : 'none';
+        this.renderSharingNote();
+    }
+
+    // People Management
+    openAddPersonModal() {
+        const modal = document.getElementById('addPersonModal');
+        modal.classList.add('active');
+        document.getElementById('personName').value = '';
+        document.getElementById('addPersonAlert').innerHTML = '';
+        document.getElementById('personName').focus();
+    }
+
+    addPerson(name) {
+        const trimmedName = name.trim();
+        if (!validateInput(trimmedName, 'string', null, 30)) {
+            showAlert('addPersonAlert', 'Please enter a valid name (1-30 characters)');
+            return false;
+        }
+        if (this.people.some(person => person.name.toLowerCase() === trimmedName.toLowerCase())) {
+            showAlert('addPersonAlert', 'A person with this name already exists');
+            return false;
+        }
+        const person = {
+            id: Date.now(),
+            name: trimmedName,
+            balance: 0
+        };
+        this.recordHistory(`add ${trimmedName}`);
+        this.people.push(person);
+        this.saveData();
+        this.render();
+        return true;
+    }
+
+    removePerson(id) {
+        const member = this.getLinkedMember(id);
+        if (member) {
+            alert(`This person is linked to ${member.name || member.email}'s account. Unlink them under Members first.`);
+            return;
+        }
+        const hasExpenses = this.expenses.some(expense => 
+            expense.paidBy === id || expense.splitBetween.includes(id)
+        ) || this.payments.some(payment => payment.from === id || payment.to === id);
+        if (hasExpenses) {
+            if (!confirm('This person has associated expenses or payments. Removing them will also remove those entries. Continue?')) {
+                return;
+            }
+        }
+        const person = this.people.find(p => p.id === id);
+        this.recordHistory(`remove ${person ? person.name : 'person'}`);
+        this.people = this.people.filter(p => p.id !== id);
+        this.expenses = this.expenses.filter(e => 
+            e.paidBy !== id && !e.splitBetween.includes(id)
+        );
+        this.payments = this.payments.filter(p => p.from !== id && p.to !== id);
+        if (this.settlementRules.forbiddenPairs.some(pair => pair.includes(id))) {
+            this.settlementRules.forbiddenPairs = this.settlementRules.forbiddenPairs.filter(pair => !pair.includes(id));
+            this.saveSettlementRules();
+        }
+        this.updateBalances();
+        this.saveData();
+        this.render();
+    }
+
+    clearAllPeople() {
+        if (this.people.some(person => this.getLinkedMember(person.id))) {
+            alert('Some people are linked to members\' accounts. Unlink them under Members first.');
+            return;
+        }
+        if (confirm('Are you sure you want to remove all people? This will also clear all expenses.')) {
+            this.recordHistory('remove all people');
+            this.people = [];
+            this.expenses = [];
+            this.payments = [];
+            this.saveData();
+            this.render();
+        }
+    }
+
+    renderPeople() {
+        if (this.people.length === 0) {
+            this.peopleGrid.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">👥</div>
+                    <p>No people added yet. Click "Add Person" to get started!</p>
+                </div>
+            `;
+            this.clearAllPeopleBtn.style.display = 'none';
+            return;
+        }
+        const canEditPeople = this.can('editSettings');
+        this.clearAllPeopleBtn.style.display = canEditPeople ? 'block' : 'none';
+        this.peopleGrid.innerHTML = this.people.map(person => {
+            const member = this.getLinkedMember(person.id);
+            const isMe = member && member.userId === this.userId;
+            return `
+            <div class="person-card${isMe ? ' person-card-you' : ''}">
+                <div class="person-header">
+                    <span class="person-name">${this.escapeHtml(person.name)}${isMe ? ' <span class="person-you">You</span>' : ''}</span>
+                    ${canEditPeople && !member ? `<button class="btn btn-danger btn-small" data-action="remove-person" data-id="${person.id}" title="Remove person">×</button>` : ''}
+                </div>
+                ${member && !isMe ? `<div class="person-member" title="${this.escapeHtml(member.email || '')}">🔗 ${this.escapeHtml(member.name || member.email)}</div>` : ''}
+                <div class="person-balance ${person.balance > 0 ? 'balance-positive' : person.balance < 0 ? 'balance-negative' : 'balance-zero'}">
+                    ${person.balance > 0 ? '+' : ''}${formatMoney(person.balance, this.baseCurrency)}
+                </div>
+                <div style="font-size: 12px; color: #718096; margin-top: 4px;">
+                    ${person.balance > 0 ? 'Gets back' : person.balance < 0 ? 'Owes' : 'Settled'}
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+
+    // Expense Management
+    editExpense(id) {
+        const expense = this.expenses.find(e => e.id === id);
+        if (expense) {
+            this.openAddExpenseModal(expense);
+        }
+    }
+
+    openAddExpenseModal(expense = null) {
+        if (this.people.length === 0) {
+            alert('Please add at least one person first!');
+            return;
+        }
+        const modal = document.getElementById('addExpenseModal');
+        const paidBySelect = document.getElementById('expensePaidBy');
+        const splitCheckboxes = document.getElementById('splitBetweenCheckboxes');
+        this.editingExpenseId = expense ? expense.id : null;
+        document.getElementById('addExpenseModalTitle').textContent = expense ? 'Edit Expense' : 'Add Expense';
+        document.getElementById('addExpenseSubmitBtn').textContent = expense ? 'Save Changes' : 'Add Expense';
+        
+        // Reset form
+        document.getElementById('addExpenseAlert').innerHTML = '';
+        document.getElementById('expenseDescription').value = expense ? expense.description : '';
+        document.getElementById('expenseCategory').value = expense ? expense.category || '' : '';
+        document.getElementById('expenseAmount').value = expense ? (expense.amountMinor / 100).toFixed(2) : '';
+        
+        // Offer the base currency and every currency with a rate; an edited expense keeps its own rate
+        const currency = expense ? expense.currency : this.baseCurrency;
+        const currencies = [...new Set([this.baseCurrency, ...Object.keys(this.currencyRates), currency])];
+        this.expenseCurrencySelect.innerHTML = currencies.map(code => `<option value="${code}">${code}</option>`).join('');
+        this.expenseCurrencySelect.value = currency;
+        document.getElementById('expenseRate').value = formatRate(expense ? expense.rate : 1);
+        this.renderExpenseConversion();
+        
+        // Only new expenses can be made recurring; editing changes a single occurrence
+        document.getElementById('expenseRepeatGroup').style.display = expense ? 'none' : 'block';
+        document.getElementById('expenseRepeat').value = '';
+        document.getElementById('expenseRepeatStart').value = localDateKey();
+        document.getElementById('expenseRepeatEnd').value = '';
+        this.renderRepeatOptions();
+        
+        // Populate paid by dropdown
+        paidBySelect.innerHTML = '<option value="">Select who paid</option>' +
+            this.people.map(person => `<option value="${person.id}">${this.escapeHtml(person.name)}</option>`).join('');
+        paidBySelect.value = expense ? String(expense.paidBy) : '';
+        
+        // Populate split between checkboxes
+        const isSplitWith = person => !expense || expense.splitBetween.includes(person.id);
+        splitCheckboxes.innerHTML = this.people.map(person => `
+            <div class="checkbox-item">
+                <input type="checkbox" id="split_${person.id}" value="${person.id}" ${isSplitWith(person) ? 'checked' : ''}>
+                <label for="split_${person.id}">${this.escapeHtml(person.name)}</label>
+            </div>
+        `).join('');
+        
+        // Add event listeners for checkboxes
+        document.querySelectorAll('#splitBetweenCheckboxes input').forEach(cb => {
+            cb.addEventListener('change', () => {
+                this.renderCustomShares();
+                this.validateCustomShares();
+                this.renderReceiptItems();
+            });
+        });
+        
+        // Start a fresh receipt, or reload the one being edited
+        const receipt = expense && expense.splitMethod === 'itemized' ? expense.receipt : null;
+        const extraInputs = {
+            receiptTax: 'taxMinor',
+            receiptServiceCharge: 'serviceChargeMinor',
+            receiptTip: 'tipMinor',
+            receiptDiscount: 'discountMinor'
+        };
+        Object.entries(extraInputs).forEach(([inputId, field]) => {
+            document.getElementById(inputId).value = receipt && receipt[field] ? (receipt[field] / 100).toFixed(2) : '';
+        });
+        this.receiptItems = [];
+        if (receipt) {
+            this.receiptItems = receipt.items.map(item => ({
+                name: item.name,
+                price: (item.priceMinor / 100).toFixed(2),
+                quantity: String(item.quantity),
+                assignedTo: [...item.assignedTo]
+            }));
+        } else {
+            this.addReceiptItem();
+        }
+        
+        if (expense && expense.splitMethod === 'custom') {
+            // Render the inputs for the stored mode, then fill in the shares as they were entered
+            document.getElementById('shareMode').value = expense.shareMode;
+            this.setSplitMethod('custom');
+            document.querySelectorAll('.custom-share-input').forEach(input => {
+                const share = expense.shares[input.dataset.personId];
+                // A zero adjustment was entered as a blank
+                if (share === undefined || (expense.shareMode === 'adjustment' && share === 0)) return;
+                const isMoney = expense.shareMode === 'fixed' || expense.shareMode === 'adjustment';
+                input.value = isMoney ? (share / 100).toFixed(2) : share;
+            });
+            this.validateCustomShares();
+        } else {
+            this.setSplitMethod(expense ? expense.splitMethod : 'equal');
+        }
+        
+        modal.classList.add('active');
+        document.getElementById('expenseDescription').focus();
+    }
+
+    /**
+     * Validate expense form values and turn them into a stored expense.
+     * Throws an Error with a user-facing message when a value is invalid.
+     * @param {Object} fields - { description, amount, paidById, splitBetween, splitMethod, shares, shareMode, receipt, currency, rate, category }
+     *   Without a rate, a foreign currency uses the group's rate table; the category is optional
+     * @param {Object[]} [people] - People the expense may refer to
+     * @returns {Object} - Expense fields without id and date
+     */
+    buildExpense({ description, amount, paidById, splitBetween, splitMethod = 'equal', shares = null, shareMode = null, receipt = null, currency = this.baseCurrency, rate = null, category = '' }, people = this.people) {
+        const trimmedDescription = description.trim();
+        if (!validateInput(trimmedDescription, 'string', null, 50)) {
+            throw new Error('Please enter a valid description (1-50 characters)');
+        }
+        const trimmedCategory = (category || '').trim();
+        if (trimmedCategory.length > MAX_CATEGORY_LENGTH) {
+            throw new Error(`Please keep the category to ${MAX_CATEGORY_LENGTH} characters`);
+        }
+        const exchangeRate = this.getExchangeRate(currency, rate);
+        const amountMinor = toMinorUnits(amount);
+        if (!(amountMinor >= 1)) {
+            throw new Error(minimumAmountError(currency));
+        }
+        if (!paidById) {
+            throw new Error('Please select who paid for this expense');
+        }
+        if (splitBetween.length === 0) {
+            throw new Error('Please select at least one person to split with');
+        }
+        
+        const paidByExists = people.some(p => p.id === parseInt(paidById));
+        const allSplitPeopleExist = splitBetween.every(id => people.some(p => p.id === id));
+        if (!paidByExists || !allSplitPeopleExist) {
+            throw new Error('Invalid person selection. Please refresh and try again.');
+        }
+        
+        // Itemized shares are derived from the receipt, which must account for the whole amount
+        if (splitMethod === 'itemized') {
+            const split = splitReceipt(receipt || {}, parseInt(paidById));
+            if (split.total !== amountMinor) {
+                throw new Error(`Receipt total ${formatMoney(split.total, currency)} does not match the amount ${formatMoney(amountMinor, currency)}`);
+            }
+            shares = split.shares;
+            shareMode = 'fixed';
+            splitBetween = Object.keys(shares).map(id => parseInt(id));
+        }
+        
+        if (splitMethod === 'custom') {
+            shares = this.toStoredShares(shareMode, shares || {});
+            const sharesError = this.getSharesError(amountMinor, shareMode, shares, parseInt(paidById), people, currency);
+            if (sharesError) {
+                throw new Error(sharesError);
+            }
+        }
+        
+        return {
+            description,
+            amountMinor,
+            paidBy: parseInt(paidById),
+            splitBetween: splitBetween,
+            splitMethod,
+            shares,
+            shareMode,
+            receipt: splitMethod === 'itemized' ? receipt : null,
+            currency,
+            rate: exchangeRate,
+            category: trimmedCategory || null
+        };
+    }
+
+    /**
+     * Pick the exchange rate for an amount in `currency`: 1 for the base currency, otherwise
+     * the given rate or the group's rate. Throws an Error with a user-facing message when there is none.
+     */
+    getExchangeRate(currency, rate = null) {
+        if (!isValidCurrencyCode(currency)) {
+            throw new Error('Please choose a valid currency');
+        }
+        if (currency === this.baseCurrency) return 1;
+        const exchangeRate = rate ?? this.currencyRates[currency];
+        if (!(typeof exchangeRate === 'number' && isFinite(exchangeRate) && exchangeRate > 0)) {
+            throw new Error(`Please enter an exchange rate for ${currency}, or add one under the group's currencies`);
+        }
+        return exchangeRate;
+    }
+
+    // Build an expense from the modal's values, showing any problem in the modal
+    buildExpenseFromForm(fields) {
+        try {
+            return this.buildExpense(fields);
+        } catch (error) {
+            // Messages can quote person and item names, which other members of the group choose
+            showAlert('addExpenseAlert', this.escapeHtml(error.message));
+            return null;
+        }
+    }
+
+    addExpense(description, amount, paidById, splitBetween, splitMethod = 'equal', shares = null, shareMode = null, receipt = null, currency = this.baseCurrency, rate = null, category = '') {
+        const expense = this.buildExpenseFromForm({ description, amount, paidById, splitBetween, splitMethod, shares, shareMode, receipt, currency, rate, category });
+        if (!expense) return false;
+        
+        this.recordHistory(`add expense "${expense.description}"`);
+        this.expenses.push({ id: Date.now(), ...expense, date: new Date().toISOString(), createdBy: this.userId });
+        this.updateBalances();
+        this.saveData();
+        this.render();
+        return true;
+    }
+
+    // Replace an expense's details, keeping its id and original date
+    updateExpense(id, description, amount, paidById, splitBetween, splitMethod = 'equal', shares = null, shareMode = null, receipt = null, currency = this.baseCurrency, rate = null, category = '') {
+        const index = this.expenses.findIndex(e => e.id === id);
+        if (index === -1) {
+            showAlert('addExpenseAlert', 'This expense no longer exists. Please refresh and try again.');
+            return false;
+        }
+        const expense = this.buildExpenseFromForm({ description, amount, paidById, splitBetween, splitMethod, shares, shareMode, receipt, currency, rate, category });
+        if (!expense) return false;
+        
+        this.recordHistory(`edit expense "${this.expenses[index].description}"`);
+        this.expenses[index] = { ...this.expenses[index], ...expense, id, date: this.expenses[index].date };
+        this.updateBalances();
+        this.saveData();
+        this.render();
+        return true;
+    }
+
+    removeExpense(id) {
+        if (confirm('Are you sure you want to delete this expense?')) {
+            const expense = this.expenses.find(e => e.id === id);
+            this.recordHistory(`delete expense "${expense ? expense.description : ''}"`);
+            this.expenses = this.expenses.filter(e => e.id !== id);
+            this.updateBalances();
+            this.saveData();
+            this.render();
+        }
+    }
+
+    clearAllExpenses() {
+        if (confirm('Are you sure you want to clear all expenses and recorded payments?')) {
+            this.recordHistory('clear all expenses');
+            this.expenses = [];
+            this.payments = [];
+            this.updateBalances();
+            this.saveData();
+            this.render();
+        }
+    }
+
+    // Fixed amounts and adjustments are entered in major units but stored in minor units like the amount
+    toStoredShares(shareMode, shares) {
+        if (shareMode !== 'fixed' && shareMode !== 'adjustment') return shares;
+        return Object.fromEntries(
+            Object.entries(shares).map(([personId, share]) => [personId, toMinorUnits(share)])
+        );
+    }
+
+    /**
+     * Check stored custom shares against an amount in minor units
+     * @returns {string|null} - Error message, or null when the shares are valid
+     */
+    getSharesError(amountMinor, shareMode, shares, paidBy, people = this.people, currency = this.baseCurrency) {
+        const values = Object.values(shares).map(Number);
+        if (values.length === 0) {
+            return 'Please select at least one person to split with';
+        }
+        if (values.some(value => !isFinite(value))) {
+            return 'Please fill all share amounts';
+        }
+        if (shareMode !== 'adjustment' && values.some(value => value < 0)) {
+            return 'Shares cannot be negative';
+        }
+        
+        // Compare in integer units: hundredths of a percent or share, or paisa for amounts
+        if (shareMode === 'percentage') {
+            const sum = values.reduce((total, value) => total + Math.round(value * 100), 0);
+            return sum === 10000 ? null : `Total must be 100%. Current: ${(sum / 100).toFixed(2)}%`;
+        }
+        if (shareMode === 'fixed') {
+            const sum = values.reduce((total, value) => total + value, 0);
+            return sum === amountMinor ? null : `Total must equal ${formatMoney(amountMinor, currency)}. Current: ${formatMoney(sum, currency)}`;
+        }
+        if (shareMode === 'shares') {
+            const sum = values.reduce((total, value) => total + Math.round(value * 100), 0);
+            return sum > 0 ? null : 'At least one person needs more than zero shares';
+        }
+        if (shareMode === 'adjustment') {
+            const resolved = resolveShares(amountMinor, shareMode, shares, paidBy);
+            const negative = Object.entries(resolved).find(([, share]) => share < 0);
+            if (negative) {
+                const person = people.find(p => p.id === parseInt(negative[0]));
+                return `Adjustments leave ${person ? person.name : 'someone'} with a negative share (${formatMoney(negative[1], currency)})`;
+            }
+            return null;
+        }
+        return 'Please choose a share mode';
+    }
+
+    // Read the custom share inputs as entered; blank adjustments mean no adjustment
+    readCustomShareInputs(shareMode) {
+        const shares = {};
+        document.querySelectorAll('.custom-share-input').forEach(input => {
+            if (input.value) {
+                shares[input.dataset.personId] = parseFloat(input.value);
+            } else if (shareMode === 'adjustment') {
+                shares[input.dataset.personId] = 0;
+            }
+        });
+        return shares;
+    }
+
+    updateBalances() {
+        // Reset all balances
+        this.people.forEach(person => person.balance = 0);
+        
+        // Process each expense
+        this.expenses.forEach(expense => {
+            const paidByPerson = this.people.find(p => p.id === expense.paidBy);
+            if (paidByPerson) {
+                // Add the full amount to the payer's balance
+                paidByPerson.balance += convertMinorUnits(expense.amountMinor, expense.rate);
+            }
+            
+            // Subtract each person's share
+            const shares = getBaseShares(expense);
+            for (const personId in shares) {
+                const person = this.people.find(p => p.id === parseInt(personId));
+                if (person) {
+                    person.balance -= shares[personId];
+                }
+            }
+        });
+        
+        // A payment reduces what the sender owes and what the recipient is owed
+        this.payments.forEach(payment => {
+            const fromPerson = this.people.find(p => p.id === payment.from);
+            const toPerson = this.people.find(p => p.id === payment.to);
+            const amount = convertMinorUnits(payment.amountMinor, payment.rate);
+            if (fromPerson) {
+                fromPerson.balance += amount;
+            }
+            if (toPerson) {
+                toPerson.balance -= amount;
+            }
+        });
+    }
+
+    renderExpenses() {
+        if (this.expenses.length === 0) {
+            this.expensesList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📋</div>
+                    <p>No expenses added yet. Add some expenses to track spending!</p>
+                </div>
+            ` + this.renderRecurring() + this.renderPaymentHistory();
+            return;
+        }
+        
+        this.expensesList.innerHTML = this.expenses.map(expense => {
+            const paidByPerson = this.people.find(p => p.id === expense.paidBy);
+            let splitDetails = '';
+            
+            if (expense.splitMethod === 'equal') {
+                const shares = getExpenseShares(expense);
+                const splitPeople = expense.splitBetween
+                    .map(id => this.people.find(p => p.id === id))
+                    .filter(Boolean);
+                const amounts = new Set(splitPeople.map(person => shares[person.id]));
+                const perPersonDetails = amounts.size <= 1
+                    ? formatMoney(amounts.size ? [...amounts][0] : 0, expense.currency)
+                    : splitPeople.map(person => `${this.escapeHtml(person.name)} ${formatMoney(shares[person.id], expense.currency)}`).join(', ');
+                splitDetails = `<strong>Split between:</strong> ${splitPeople.map(person => this.escapeHtml(person.name)).join(', ')}<br><strong>Per person:</strong> ${perPersonDetails}`;
+            } else if (expense.splitMethod === 'custom' && expense.shares) {
+                const shares = getExpenseShares(expense);
+                const sharesDetails = Object.entries(expense.shares || {}).map(([personId, share]) => {
+                    const person = this.people.find(p => p.id === parseInt(personId));
+                    if (!person) return '';
+                    const money = minorUnits => formatMoney(minorUnits, expense.currency);
+                    const displayShare = {
+                        percentage: () => `${share}% (${money(shares[personId])})`,
+                        shares: () => `${share} share${share !== 1 ? 's' : ''} (${money(shares[personId])})`,
+                        adjustment: () => share === 0
+                            ? money(shares[personId])
+                            : `${money(shares[personId])} (${share > 0 ? '+' : ''}${money(share)})`
+                    }[expense.shareMode]?.() || money(share);
+                    return `${this.escapeHtml(person.name)}: ${displayShare}`;
+                }).filter(Boolean).join(', ');
+                const modeLabel = expense.shareMode === 'adjustment' ? 'adjustments' : expense.shareMode;
+                splitDetails = `<strong>Custom Split (${modeLabel}):</strong> ${sharesDetails}`;
+            } else if (expense.splitMethod === 'itemized' && expense.shares) {
+                splitDetails = this.renderReceiptDetails(expense);
+            }
+            
+            return `
+                <div class="expense-item">
+                    <div class="expense-header">
+                        <div class="expense-description">${this.escapeHtml(expense.description)}</div>
+                        <div class="expense-amount">${formatMoney(expense.amountMinor, expense.currency)}</div>
+                    </div>
+                    <div class="expense-details">
+                        <strong>Paid by:</strong> ${paidByPerson ? this.escapeHtml(paidByPerson.name) : 'N/A'}<br>
+                        ${expense.category ? `<strong>Category:</strong> ${this.escapeHtml(expense.category)}<br>` : ''}
+                        ${this.renderConversion(expense)}
+                        ${expense.recurringId ? '<strong>Recurring:</strong> added automatically on schedule<br>' : ''}
+                        ${splitDetails}<br>
+                        <strong>Date:</strong> ${new Date(expense.date).toLocaleDateString()}
+                    </div>
+                    ${this.canChangeEntry(expense) ? `
+                    <div class="expense-actions">
+                        <button class="btn btn-secondary btn-small" data-action="edit-expense" data-id="${expense.id}" title="Edit expense">Edit</button>
+                        <button class="btn btn-danger btn-small" data-action="remove-expense" data-id="${expense.id}" title="Delete expense">Delete</button>
+                    </div>` : ''}
+                </div>
+            `;
+        }).join('') + this.renderRecurring() + this.renderPaymentHistory();
+    }
+
+    // For amounts in another currency, show what they came to in the base currency
+    renderConversion(entry) {
+        if (entry.rate === 1) return '';
+        return `<strong>In ${this.baseCurrency}:</strong> ${formatMoney(convertMinorUnits(entry.amountMinor, entry.rate), this.baseCurrency)} at 1 ${entry.currency} = ${formatRate(entry.rate)} ${this.baseCurrency}<br>`;
+    }
+
+    renderPaymentHistory() {
+        if (this.payments.length === 0) return '';
+        const nameOf = id => {
+            const person = this.people.find(p => p.id === id);
+            return person ? this.escapeHtml(person.name) : 'N/A';
+        };
+        return `
+            <div class="payment-history">
+                <div class="payment-history-title">💵 Payment History</div>
+                ${[...this.payments].reverse().map(payment => `
+                    <div class="payment-item">
+                        <div class="payment-details">
+                            <strong>${nameOf(payment.from)}</strong> paid <strong>${nameOf(payment.to)}</strong>
+                            ${formatMoney(payment.amountMinor, payment.currency)}
+                            ${payment.rate !== 1 ? `(${formatMoney(convertMinorUnits(payment.amountMinor, payment.rate), this.baseCurrency)})` : ''}
+                            <span class="payment-date">${new Date(payment.date).toLocaleDateString()}</span>
+                        </div>
+                        ${this.canChangeEntry(payment) ? `<button class="btn btn-danger btn-small" data-action="remove-payment" data-id="${payment.id}" title="Delete payment">Delete</button>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Split Method Management
+    setSplitMethod(method) {
+        const sections = {
+            equal: null,
+            custom: document.getElementById('customSplitSection'),
+            itemized: document.getElementById('itemizedSplitSection')
+        };
+        this.splitMethod = method;
+        
+        Object.keys(sections).forEach(key => {
+            document.getElementById(`${key}SplitBtn`).classList.toggle('active', key === method);
+            if (sections[key]) {
+                sections[key].classList.toggle('active', key === method);
+            }
+        });
+        
+        // The receipt decides the amount in itemized mode
+        document.getElementById('expenseAmount').readOnly = method === 'itemized';
+        
+        if (method === 'equal') {
+            // Enable add button for equal split
+            document.getElementById('addExpenseSubmitBtn').disabled = false;
+        } else if (method === 'custom') {
+            this.renderCustomShares();
+            this.validateCustomShares();
+        } else {
+            this.renderReceiptItems();
+        }
+    }
+
+    renderCustomShares() {
+        const container = document.getElementById('customShares');
+        const selectedPeople = Array.from(document.querySelectorAll('#splitBetweenCheckboxes input:checked')).map(cb => parseInt(cb.value));
+        const shareMode = document.getElementById('shareMode').value;
+        
+        container.innerHTML = '';
+        
+        if (selectedPeople.length > 0) {
+            selectedPeople.forEach(personId => {
+                const person = this.people.find(p => p.id === personId);
+                if (person) {
+                    const item = document.createElement('div');
+                    item.className = 'custom-share-item';
+                    const placeholder = {
+                        percentage: 'Enter %',
+                        fixed: 'Enter amount',
+                        shares: 'Units, e.g. 2',
+                        adjustment: '+/− amount, blank for none'
+                    }[shareMode];
+                    item.innerHTML = `
+                        <label for="share-${person.id}">${this.escapeHtml(person.name)}</label>
+                        <input 
+                            type="number" 
+                            id="share-${person.id}" 
+                            class="form-input custom-share-input" 
+                            data-person-id="${person.id}" 
+                            placeholder="${placeholder}" 
+                            step="0.01" 
+                            ${shareMode === 'adjustment' ? '' : 'min="0"'}
+                            data-action="validate-custom-shares" data-on="input"
+                        >
+                    `;
+                    container.appendChild(item);
+                }
+            });
+        }
+        
+        this.validateCustomShares();
+    }
+
+    validateCustomShares() {
+        const addExpenseBtn = document.getElementById('addExpenseSubmitBtn');
+        const splitMethod = this.splitMethod;
+        
+        if (splitMethod === 'itemized') {
+            this.validateReceipt();
+            return;
+        }
+        
+        if (splitMethod === 'equal') {
+            addExpenseBtn.disabled = false;
+            document.getElementById('customShares').querySelectorAll('.alert').forEach(e => e.remove());
+            return;
+        }
+        
+        const shareMode = document.getElementById('shareMode').value;
+        const totalAmount = toMinorUnits(parseAmountInput(document.getElementById('expenseAmount').value)) || 0;
+        const inputs = Array.from(document.querySelectorAll('.custom-share-input'));
+        const paidBy = parseInt(document.getElementById('expensePaidBy').value);
+        
+        // Adjustments may be left blank; every other mode needs a value per person
+        const allFilled = shareMode === 'adjustment' || inputs.every(input => input.value !== '');
+        
+        let errorMsg = '';
+        let preview = '';
+        
+        if (!allFilled) {
+            errorMsg = 'Please fill all share amounts';
+        } else if (totalAmount <= 0) {
+            errorMsg = 'Please enter a valid expense amount first';
+        } else {
+            const shares = this.toStoredShares(shareMode, this.readCustomShareInputs(shareMode));
+            errorMsg = this.getSharesError(totalAmount, shareMode, shares, paidBy, this.people, this.expenseCurrencySelect.value) || '';
+            if (!errorMsg && (shareMode === 'shares' || shareMode === 'adjustment')) {
+                // These modes don't show amounts directly, so preview what each person pays
+                const resolved = resolveShares(totalAmount, shareMode, shares, paidBy);
+                preview = Object.entries(resolved).map(([personId, share]) => {
+                    const person = this.people.find(p => p.id === parseInt(personId));
+                    return person ? `${person.name}: ${formatMoney(share, this.expenseCurrencySelect.value)}` : '';
+                }).filter(Boolean).join(', ');
+            }
+        }
+        const isValid = inputs.length > 0 && !errorMsg;
+        
+        addExpenseBtn.disabled = !isValid;
+        
+        // Remove existing error messages
+        const container = document.getElementById('customShares');
+        container.querySelectorAll('.alert').forEach(e => e.remove());
+        
+        // Show error message if validation fails
+        if (inputs.length > 0 && errorMsg) {
+            const errorEl = document.createElement('div');
+            errorEl.className = 'alert alert-error';
+            errorEl.textContent = errorMsg;
+            container.appendChild(errorEl);
+        } else if (preview) {
+            const previewEl = document.createElement('div');
+            previewEl.className = 'alert alert-success';
+            previewEl.textContent = preview;
+            container.appendChild(previewEl);
+        }
+    }
+
+    // Itemized Receipt Management
+    addReceiptItem() {
+        const selectedPeople = Array.from(document.querySelectorAll('#splitBetweenCheckboxes input:checked')).map(cb => parseInt(cb.value));
+        this.receiptItems.push({ name: '', price: '', quantity: '1', assignedTo: selectedPeople });
+        this.renderReceiptItems();
+    }
+
+    removeReceiptItem(index) {
+        this.receiptItems.splice(index, 1);
+        this.renderReceiptItems();
+    }
+
+    updateReceiptItem(target) {
+        const row = target.closest('.receipt-item');
+        if (!row) return;
+        const item = this.receiptItems[parseInt(row.dataset.index)];
+        if (target.classList.contains('receipt-item-name')) {
+            item.name = target.value;
+        } else if (target.classList.contains('receipt-item-price')) {
+            item.price = target.value;
+        } else if (target.classList.contains('receipt-item-qty')) {
+            item.quantity = target.value;
+        } else if (target.classList.contains('receipt-item-person')) {
+            const personId = parseInt(target.value);
+            item.assignedTo = target.checked
+                ? [...item.assignedTo.filter(id => id !== personId), personId]
+                : item.assignedTo.filter(id => id !== personId);
+        }
+        this.validateReceipt();
+    }
+
+    renderReceiptItems() {
+        const container = document.getElementById('receiptItems');
+        const selectedPeople = Array.from(document.querySelectorAll('#splitBetweenCheckboxes input:checked'))
+            .map(cb => this.people.find(p => p.id === parseInt(cb.value)))
+            .filter(Boolean);
+        
+        // People dropped from "Split Between" can't keep items
+        this.receiptItems.forEach(item => {
+            item.assignedTo = item.assignedTo.filter(id => selectedPeople.some(p => p.id === id));
+        });
+        
+        container.innerHTML = this.receiptItems.map((item, index) => `
+            <div class="receipt-item" data-index="${index}">
+                <div class="receipt-item-fields">
+                    <input type="text" class="form-input receipt-item-name" placeholder="Item" maxlength="40" value="${this.escapeHtml(item.name)}">
+                    <input type="text" class="form-input receipt-item-price" placeholder="Price" inputmode="decimal" value="${this.escapeHtml(item.price)}">
+                    <input type="number" class="form-input receipt-item-qty" title="Quantity" min="1" step="1" value="${this.escapeHtml(item.quantity)}">
+                    <button type="button" class="btn btn-danger btn-small receipt-item-remove" data-index="${index}" title="Remove item">×</button>
+                </div>
+                <div class="receipt-item-people">
+                    ${selectedPeople.map(person => `
+                        <label class="receipt-person-chip">
+                            <input type="checkbox" class="receipt-item-person" value="${person.id}" ${item.assignedTo.includes(person.id) ? 'checked' : ''}>
+                            ${this.escapeHtml(person.name)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+        
+        this.validateReceipt();
+    }
+
+    // Build the receipt in minor units from the form state
+    getReceipt() {
+        const readExtra = id => {
+            const value = document.getElementById(id).value;
+            return value.trim() === '' ? 0 : toMinorUnits(parseAmountInput(value));
+        };
+        return {
+            items: this.receiptItems.map(item => ({
+                name: item.name.trim(),
+                priceMinor: toMinorUnits(parseAmountInput(item.price)),
+                quantity: Number(item.quantity),
+                assignedTo: [...item.assignedTo]
+            })),
+            taxMinor: readExtra('receiptTax'),
+            serviceChargeMinor: readExtra('receiptServiceCharge'),
+            tipMinor: readExtra('receiptTip'),
+            discountMinor: readExtra('receiptDiscount')
+        };
+    }
+
+    validateReceipt() {
+        if (this.splitMethod !== 'itemized') return;
+        const addExpenseBtn = document.getElementById('addExpenseSubmitBtn');
+        const summary = document.getElementById('receiptSummary');
+        const payerId = parseInt(document.getElementById('expensePaidBy').value);
+        const currency = this.expenseCurrencySelect.value;
+        
+        let split;
+        try {
+            split = splitReceipt(this.getReceipt(), payerId);
+        } catch (error) {
+            addExpenseBtn.disabled = true;
+            summary.innerHTML = `<div class="alert alert-error">${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+        
+        document.getElementById('expenseAmount').value = (split.total / 100).toFixed(2);
+        this.renderExpenseConversion();
+        addExpenseBtn.disabled = false;
+        summary.innerHTML = `
+            <div><strong>Subtotal:</strong> ${formatMoney(split.subtotal, currency)} • <strong>Total:</strong> ${formatMoney(split.total, currency)}</div>
+            <div>${Object.entries(split.shares).map(([personId, share]) => {
+                const person = this.people.find(p => p.id === parseInt(personId));
+                return person ? `${this.escapeHtml(person.name)}: ${formatMoney(share, currency)}` : '';
+            }).filter(Boolean).join(', ')}</div>
+        `;
+    }
+
+    renderReceiptDetails(expense) {
+        const nameOf = id => this.people.find(p => p.id === id)?.name;
+        const receipt = expense.receipt || { items: [] };
+        const items = receipt.items.map((item, index) => {
+            const names = item.assignedTo.map(nameOf).filter(Boolean).map(name => this.escapeHtml(name)).join(', ');
+            return `${this.escapeHtml(item.name || `Item ${index + 1}`)} ×${item.quantity} ${formatMoney(item.priceMinor * item.quantity, expense.currency)} (${names})`;
+        }).join('; ');
+        const extras = [
+            ['Tax', receipt.taxMinor],
+            ['Service', receipt.serviceChargeMinor],
+            ['Tip', receipt.tipMinor],
+            ['Discount', receipt.discountMinor ? -receipt.discountMinor : 0]
+        ].filter(([, value]) => value).map(([label, value]) => `${label} ${formatMoney(value, expense.currency)}`).join(', ');
+        const sharesDetails = Object.entries(expense.shares).map(([personId, share]) => {
+            const name = nameOf(parseInt(personId));
+            return name ? `${this.escapeHtml(name)}: ${formatMoney(share, expense.currency)}` : '';
+        }).filter(Boolean).join(', ');
+        return `<strong>Items:</strong> ${items}${extras ? `<br><strong>Extras:</strong> ${extras}` : ''}<br><strong>Itemized Split:</strong> ${sharesDetails}`;
+    }
+
+    // Group Sharing
+    applyMembership(group) {
+        this.userId = group.userId || null;
+        this.role = group.role || 'owner';
+        this.personId = group.personId ?? null;
+        this.members = group.members || [];
+        this.invites = group.invites || [];
+    }
+
+    can(permission) {
+        return GROUP_ROLE_PERMISSIONS[this.role].includes(permission);
+    }
+
+    // Members may change the expenses and payments they added; editors and the owner may change any
+    canChangeEntry(entry) {
+        return this.can('editAllEntries') || (this.can('addEntries') && entry.createdBy === this.userId);
+    }
+
+    isShared() {
+        return this.members.length > 1;
+    }
+
+    getLinkedMember(personId) {
+        return this.members.find(member => member.personId !== null && String(member.personId) === String(personId)) || null;
+    }
+
+    // Hide the group controls the current member's role doesn't allow
+    renderPermissions() {
+        const isOwner = this.can('manageGroup');
+        const show = (id, visible) => {
+            document.getElementById(id).style.display = visible ? '' : 'none';
+        };
+        ['renameGroupBtn', 'archiveGroupBtn', 'deleteGroupBtn'].forEach(id => show(id, isOwner));
+        show('leaveGroupBtn', !isOwner);
+        show('addPersonBtn', this.can('editSettings'));
+        show('importBtn', this.can('editSettings'));
+        show('clearAllExpensesBtn', this.can('editAllEntries'));
+        document.querySelectorAll('.currency-settings select, .currency-settings input, .currency-settings button, .settlement-rules select, .settlement-rules input, .settlement-rules button')
+            .forEach(control => { control.disabled = !this.can('editSettings'); });
+    }
+
+    renderSharingNote() {
+        const me = this.people.find(person => String(person.id) === String(this.personId));
+        this.groupSharingNote.style.display = this.isShared() ? 'block' : 'none';
+        if (!this.isShared()) return;
+        const others = this.members.length - 1;
+        const balance = me
+            ? ` · Your balance: <span class="${me.balance > 0 ? 'balance-positive' : me.balance < 0 ? 'balance-negative' : 'balance-zero'}">${me.balance > 0 ? '+' : ''}${formatMoney(me.balance, this.baseCurrency)}</span>`
+            : '';
+        this.groupSharingNote.innerHTML = `
+            👥 Shared with ${others} other${others !== 1 ? 's' : ''} · ${ROLE_LABELS[this.role]}
+            · ${me ? `You are <strong>${this.escapeHtml(me.name)}</strong>` : 'Choose which person you are under Members'}${balance}
+        `;
+    }
+
+    async loadPendingInvites() {
+        try {
+            this.pendingInvites = await apiRequest('/api/invites');
+        } catch (error) {
+            console.error('Error loading invites:', error);
+            this.pendingInvites = [];
+        }
+        this.renderPendingInvites();
+    }
+
+    renderPendingInvites() {
+        document.getElementById('pendingInvites').innerHTML = this.pendingInvites.map(invite => `
+            <div class="pending-invite">
+                <span>
+                    <strong>${this.escapeHtml(invite.invitedByName || 'Someone')}</strong> invited you to
+                    <strong>${this.escapeHtml(invite.groupName)}</strong>${invite.personName ? ` as ${this.escapeHtml(invite.personName)}` : ''}
+                    (${ROLE_LABELS[invite.role]})
+                </span>
+                <div class="expense-actions">
+                    <button class="btn btn-primary btn-small" data-action="accept-invite" data-id="${this.escapeHtml(invite.id)}">Join</button>
+                    <button class="btn btn-secondary btn-small" data-action="decline-invite" data-id="${this.escapeHtml(invite.id)}">Decline</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async loadVerificationStatus() {
+        try {
+            const session = await apiRequest('/api/auth/session');
+            this.userEmail = session.user.email || '';
+            this.emailVerified = session.user.emailVerified !== false;
+        } catch (error) {
+            console.error('Error loading account:', error);
+        }
+        this.renderVerifyNotice();
+    }
+
+    // Accounts that haven't confirmed their email can't join shared groups yet
+    renderVerifyNotice() {
+        const notice = document.getElementById('verifyEmailNotice');
+        notice.style.display = this.emailVerified ? 'none' : 'flex';
+        notice.innerHTML = this.emailVerified ? '' : `
+            <span>
+                Confirm your email address${this.userEmail ? ` (<strong>${this.escapeHtml(this.userEmail)}</strong>)` : ''}
+                with the link we sent you to join groups shared with you.
+            </span>
+            <div class="expense-actions">
+                <button class="btn btn-secondary btn-small" data-action="resend-verification">Resend link</button>
+            </div>
+        `;
+    }
+
+    async resendVerification() {
+        try {
+            const result = await apiRequest('/api/auth/verify/resend', { method: 'POST' });
+            alert(result.message);
+        } catch (error) {
+            console.error('Error resending verification email:', error);
+            alert(error.message || 'Could not send the verification email. Please try again.');
+            this.loadVerificationStatus();
+        }
+    }
+
+    async acceptInvite(id) {
+        try {
+            await this.saveQueue;
+            const group = await apiRequest(`/api/invites/${encodeURIComponent(id)}/accept`, { method: 'POST' });
+            this.pendingInvites = this.pendingInvites.filter(invite => invite.id !== id);
+            this.renderPendingInvites();
+            this.groups.push(group);
+            this.applyGroup(group);
+        } catch (error) {
+            console.error('Error accepting invite:', error);
+            alert(error.message || 'Could not join the group. Please try again.');
+            if (error.code === 'EMAIL_UNVERIFIED') {
+                this.emailVerified = false;
+                this.renderVerifyNotice();
+            }
+            this.loadPendingInvites();
+        }
+    }
+
+    async declineInvite(id) {
+        try {
+            await apiRequest(`/api/invites/${encodeURIComponent(id)}/decline`, { method: 'POST' });
+        } catch (error) {
+            console.error('Error declining invite:', error);
+        }
+        this.pendingInvites = this.pendingInvites.filter(invite => invite.id !== id);
+        this.renderPendingInvites();
+    }
+
+    openMembersModal() {
+        document.getElementById('membersAlert').innerHTML = '';
+        document.getElementById('inviteEmail').value = '';
+        document.getElementById('inviteLinkResult').style.display = 'none';
+        this.renderMembers();
+        document.getElementById('membersModal').classList.add('active');
+    }
+
+    renderMembers() {
+        const isOwner = this.can('manageGroup');
+        const linkedIds = new Set(this.members.map(member => String(member.personId)));
+        const nameOf = personId => {
+            const person = this.people.find(p => String(p.id) === String(personId));
+            return person ? this.escapeHtml(person.name) : 'Not linked';
+        };
+        // A member can be linked to anyone nobody else is linked to
+        const personOptions = current => '<option value="">Not linked</option>' + this.people
+            .filter(person => String(person.id) === String(current) || !linkedIds.has(String(person.id)))
+            .map(person => `<option value="${person.id}"${String(person.id) === String(current) ? ' selected' : ''}>${this.escapeHtml(person.name)}</option>`)
+            .join('');
+
+        document.getElementById('membersList').innerHTML = this.members.map(member => {
+            const isMe = member.userId === this.userId;
+            const userId = this.escapeHtml(member.userId);
+            const roleControl = isOwner && member.role !== 'owner'
+                ? `<select class="form-select" title="Role" data-action="change-member-role" data-on="change" data-id="${userId}">
+                    ${['editor', 'member', 'viewer'].map(role => `<option value="${role}"${role === member.role ? ' selected' : ''}>${ROLE_LABELS[role]}</option>`).join('')}
+                   </select>`
+                : `<span class="member-role">${ROLE_LABELS[member.role]}</span>`;
+            const personControl = isOwner || isMe
+                ? `<select class="form-select" title="Person in the ledger" data-action="change-member-person" data-on="change" data-id="${userId}">${personOptions(member.personId)}</select>`
+                : `<span>${nameOf(member.personId)}</span>`;
+            const removeControl = member.role === 'owner' ? ''
+                : isMe ? `<button class="btn btn-danger btn-small" data-action="leave-group">Leave</button>`
+                : isOwner ? `<button class="btn btn-danger btn-small" data-action="remove-member" data-id="${userId}">Remove</button>` : '';
+            return `
+                <div class="member-item">
+                    <div class="member-details">
+                        <strong>${this.escapeHtml(member.name || member.email || 'Owner')}</strong>${isMe ? ' (you)' : ''}
+                        ${member.email ? `<div class="payment-date">${this.escapeHtml(member.email)}</div>` : ''}
+                    </div>
+                    <div class="member-controls">${roleControl}${personControl}${removeControl}</div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('inviteForm').style.display = isOwner ? 'block' : 'none';
+        const invitable = this.people.filter(person => !linkedIds.has(String(person.id)));
+        document.getElementById('invitePerson').innerHTML = invitable.length === 0
+            ? '<option value="">Add a person to the group first</option>'
+            : invitable.map(person => `<option value="${person.id}">${this.escapeHtml(person.name)}</option>`).join('');
+
+        document.getElementById('groupInvitesList').innerHTML = isOwner && this.invites.length > 0 ? `
+            <div class="payment-history">
+                <div class="payment-history-title">Waiting to be accepted</div>
+                ${this.invites.map(invite => `
+                    <div class="payment-item">
+                        <div class="payment-details">
+                            <strong>${nameOf(invite.personId)}</strong>
+                            ${invite.email ? this.escapeHtml(invite.email) : 'via invite link'} · ${ROLE_LABELS[invite.role]}
+                            <span class="payment-date">expires ${new Date(invite.expiresAt).toLocaleDateString()}</span>
+                        </div>
+                        <button class="btn btn-danger btn-small" data-action="revoke-invite" data-id="${this.escapeHtml(invite.id)}">Revoke</button>
+                    </div>
+                `).join('')}
+            </div>
+        ` : '';
+    }
+
+    /**
+     * Invite someone to be one of the group's people. With an email the invite waits in that
+     * account's Split Share; without one, a one-time link is created to send them.
+     */
+    async createInvite(personId, role, email) {
+        if (!personId) {
+            showAlert('membersAlert', 'Choose who in the group the invite is for');
+            return false;
+        }
+        const trimmedEmail = email.trim();
+        if (trimmedEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedEmail)) {
+            showAlert('membersAlert', 'Please enter a valid email address');
+            return false;
+        }
+        try {
+            const { invite, link } = await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}/invites`, {
+                method: 'POST',
+                body: JSON.stringify({ personId, role, email: trimmedEmail })
+            });
+            this.invites = [...this.invites.filter(i => String(i.personId) !== String(invite.personId)), invite];
+            this.renderMembers();
+            if (invite.email) {
+                document.getElementById('inviteLinkResult').style.display = 'none';
+                showAlert('membersAlert', `Invite sent. ${this.escapeHtml(invite.email)} will see it next time they open Split Share.`, 'success');
+            } else {
+                document.getElementById('inviteLink').value = link;
+                document.getElementById('inviteLinkResult').style.display = 'block';
+            }
+            document.getElementById('inviteEmail').value = '';
+            return true;
+        } catch (error) {
+            showAlert('membersAlert', this.escapeHtml(error.message || 'Failed to create invite'));
+            return false;
+        }
+    }
+
+    async revokeInvite(id) {
+        try {
+            await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}/invites/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            this.invites = this.invites.filter(invite => invite.id !== id);
+            this.renderMembers();
+        } catch (error) {
+            showAlert('membersAlert', this.escapeHtml(error.message || 'Failed to revoke invite'));
+        }
+    }
+
+    async updateMember(userId, changes) {
+        try {
+            const group = await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}/members/${encodeURIComponent(userId)}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+            this.applyMembership(group);
+            this.groups = this.groups.map(g => g.id === group.id ? { ...g, members: group.members } : g);
+            this.render();
+        } catch (error) {
+            showAlert('membersAlert', this.escapeHtml(error.message || 'Failed to update member'));
+        }
+        this.renderMembers();
+    }
+
+    async removeMember(userId) {
+        const member = this.members.find(m => m.userId === userId);
+        if (!member || !confirm(`Remove ${member.name || member.email} from this group? Their expenses stay in the ledger.`)) {
+            return;
+        }
+        try {
+            await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}/members/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+            this.members = this.members.filter(m => m.userId !== userId);
+            this.groups = this.groups.map(g => g.id === this.groupId ? { ...g, members: this.members } : g);
+            this.render();
+            this.renderMembers();
+        } catch (error) {
+            showAlert('membersAlert', this.escapeHtml(error.message || 'Failed to remove member'));
+        }
+    }
+
+    async leaveGroup() {
+        const activeGroup = this.getActiveGroup();
+        if (!activeGroup || !confirm(`Leave "${activeGroup.name}"? You will need a new invite to see it again.`)) {
+            return;
+        }
+        try {
+            await this.saveQueue;
+            await apiRequest(`/api/groups/${encodeURIComponent(activeGroup.id)}/members/${encodeURIComponent(this.userId)}`, { method: 'DELETE' });
+            closeModal('membersModal');
+            this.groups = this.groups.filter(g => g.id !== activeGroup.id);
+            await this.openNextGroup();
+        } catch (error) {
+            console.error('Error leaving group:', error);
+            alert(error.message || 'Could not leave the group. Please try again.');
+        }
+    }
+
+    // Recurring Expense Management
+    renderRepeatOptions() {
+        const frequency = document.getElementById('expenseRepeat').value;
+        document.getElementById('expenseRepeatOptions').style.display = frequency ? 'block' : 'none';
+        document.getElementById('expenseRepeatIntervalRow').style.display = frequency === 'custom' ? 'flex' : 'none';
+        if (this.editingExpenseId === null) {
+            document.getElementById('addExpenseSubmitBtn').textContent = frequency ? 'Add Recurring Expense' : 'Add Expense';
+        }
+    }
+
+    // Check a repeat schedule from the expense form; null when it is valid
+    getScheduleError({ frequency, intervalDays, startDate, endDate }) {
+        if (!['weekly', 'monthly', 'custom'].includes(frequency)) {
+            return 'Please choose how often the expense repeats';
+        }
+        if (frequency === 'custom' && !(Number.isInteger(intervalDays) && intervalDays >= 1 && intervalDays <= 365)) {
+            return 'Please repeat every 1 to 365 days';
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '')) {
+            return 'Please choose when the expense starts repeating';
+        }
+        if (endDate && endDate < startDate) {
+            return 'The end date must be on or after the start date';
+        }
+        return null;
+    }
+
+    /**
+     * Make a new expense recurring. The server keeps the schedule and adds each occurrence
+     * when it falls due, including the first one if it is due already.
+     */
+    async addRecurringExpense(schedule, description, amount, paidById, splitBetween, splitMethod = 'equal', shares = null, shareMode = null, receipt = null, currency = this.baseCurrency, rate = null, category = '') {
+        const expense = this.buildExpenseFromForm({ description, amount, paidById, splitBetween, splitMethod, shares, shareMode, receipt, currency, rate, category });
+        if (!expense) return false;
+        const scheduleError = this.getScheduleError(schedule);
+        if (scheduleError) {
+            showAlert('addExpenseAlert', scheduleError);
+            return false;
+        }
+        try {
+            // Save pending changes first so the server's copy of the ledger is current
+            await this.saveQueue;
+            const group = await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}/recurring`, {
+                method: 'POST',
+                body: JSON.stringify({ expense, ...schedule, endDate: schedule.endDate || null })
+            });
+            this.recurring = group.recurring || [];
+            this.ingestGeneratedExpenses(group.expenses);
+            this.render();
+            return true;
+        } catch (error) {
+            showAlert('addExpenseAlert', this.escapeHtml(error.message || 'Failed to save recurring expense'));
+            return false;
+        }
+    }
+
+    latestGeneratedAt(expenses, since) {
+        return expenses.reduce((latest, expense) =>
+            expense.generatedAt && expense.generatedAt > latest ? expense.generatedAt : latest, since);
+    }
+
+    /**
+     * Add occurrences the server generated since this page last synced. They are added to the
+     * undo history too, so undoing an earlier change doesn't delete them.
+     */
+    ingestGeneratedExpenses(expenses) {
+        if (!Array.isArray(expenses)) return;
+        const added = expenses
+            .filter(expense => expense.generatedAt && expense.generatedAt > this.syncedAt)
+            .filter(expense => !this.expenses.some(e => String(e.id) === String(expense.id)))
+            .map(expense => normalizeExpense(expense, this.baseCurrency));
+        this.syncedAt = this.latestGeneratedAt(expenses, this.syncedAt);
+        if (added.length === 0) return;
+        this.expenses.push(...added);
+        [...this.undoStack, ...this.redoStack].forEach(snapshot => {
+            snapshot.expenses.push(...JSON.parse(JSON.stringify(added)));
+        });
+        this.updateBalances();
+        this.render();
+    }
+
+    /**
+     * Pick up changes other members made, and recurring expenses the server added, while the page is open.
+     * Only asks the server when the group is shared or a recurring expense has fallen due.
+     */
+    async refreshGroup() {
+        const today = localDateKey();
+        const due = this.recurring.some(t => t.nextDate && t.nextDate <= today);
+        if (!this.groupId || (!this.isShared() && !due)) return;
+        if (document.hidden || document.querySelector('.modal.active')) return;
+        try {
+            await this.saveQueue;
+            const groupId = this.groupId;
+            const group = await apiRequest(`/api/groups/${encodeURIComponent(groupId)}`);
+            if (groupId !== this.groupId) return;
+            this.groups = this.groups.map(g => g.id === group.id ? group : g);
+            if (group.revision !== this.revision) {
+                // Someone else changed the ledger, so this page's undo history no longer applies
+                this.applyGroup(group);
+                return;
+            }
+            this.recurring = group.recurring || [];
+            this.settlementRules = group.settlementRules || this.settlementRules;
+            this.currencyRates = group.currencyRates || this.currencyRates;
+            this.applyMembership(group);
+            this.ingestGeneratedExpenses(group.expenses);
+            this.render();
+        } catch (error) {
+            console.error('Error refreshing group:', error);
+        }
+    }
+
+    async skipRecurring(id) {
+        try {
+            const template = await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}/recurring/${encodeURIComponent(id)}/skip`, {
+                method: 'POST'
+            });
+            this.recurring = this.recurring.map(t => t.id === template.id ? template : t);
+            this.render();
+        } catch (error) {
+            console.error('Error skipping occurrence:', error);
+            alert(error.message || 'Could not skip the occurrence. Please try again.');
+        }
+    }
+
+    async stopRecurring(id) {
+        const template = this.recurring.find(t => t.id === id);
+        if (!template || !confirm(`Stop repeating "${template.expense.description}"? Expenses already added stay in the ledger.`)) {
+            return;
+        }
+        try {
+            await apiRequest(`/api/groups/${encodeURIComponent(this.groupId)}/recurring/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            this.recurring = this.recurring.filter(t => t.id !== id);
+            this.render();
+        } catch (error) {
+            console.error('Error stopping recurring expense:', error);
+            alert(error.message || 'Could not stop the recurring expense. Please try again.');
+        }
+    }
+
+    renderRecurring() {
+        if (this.recurring.length === 0) return '';
+        const describe = template => ({
+            weekly: 'Weekly',
+            monthly: 'Monthly',
+            custom: `Every ${template.intervalDays} days`
+        })[template.frequency];
+        return `
+            <div class="payment-history">
+                <div class="payment-history-title">🔁 Recurring Expenses</div>
+                ${this.recurring.map(template => `
+                    <div class="payment-item recurring-item">
+                        <div class="payment-details">
+                            <strong>${this.escapeHtml(template.expense.description)}</strong>
+                            ${formatMoney(template.expense.amountMinor, template.expense.currency)} · ${describe(template)}
+                            <span class="payment-date">
+                                ${template.nextDate ? `Next: ${formatDateKey(template.nextDate)}` : 'Finished'}${template.endDate ? ` · until ${formatDateKey(template.endDate)}` : ''}
+                            </span>
+                        </div>
+                        <div class="expense-actions" style="${this.canChangeEntry(template) ? '' : 'display: none;'}">
+                            ${template.nextDate ? `<button class="btn btn-secondary btn-small" data-action="skip-recurring" data-id="${this.escapeHtml(template.id)}" title="Skip the next occurrence">Skip next</button>` : ''}
+                            <button class="btn btn-danger btn-small" data-action="stop-recurring" data-id="${this.escapeHtml(template.id)}" title="Stop repeating">Stop</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Currency Management
+    renderCurrencySettings() {
+        const codes = [...new Set([...Object.keys(CURRENCY_SYMBOLS), this.baseCurrency])];
+        this.baseCurrencySelect.innerHTML = codes.map(code => `<option value="${code}">${code}</option>`).join('');
+        this.baseCurrencySelect.value = this.baseCurrency;
+
+        const rates = Object.entries(this.currencyRates);
+        this.currencyRatesList.innerHTML = rates.length === 0
+            ? `<p class="settlement-rules-empty">No exchange rates yet. Add one to record expenses in other currencies.</p>`
+            : rates.map(([code, rate]) => `
+                <div class="currency-rate">
+                    <span>1 ${code} = <strong>${formatRate(rate)}</strong> ${this.baseCurrency}</span>
+                    <button class="btn btn-danger btn-small" data-action="remove-currency-rate" data-id="${code}" title="Remove rate">×</button>
+                </div>
+            `).join('');
+
+        const rateSelect = document.getElementById('rateCurrencySelect');
+        const previous = rateSelect.value;
+        rateSelect.innerHTML = codes.filter(code => code !== this.baseCurrency)
+            .map(code => `<option value="${code}">${code}</option>`).join('');
+        if (previous && previous !== this.baseCurrency) rateSelect.value = previous;
+    }
+
+    setCurrencyRate(currency, value) {
+        const rate = parseAmountInput(value);
+        if (!currency || currency === this.baseCurrency) return;
+        if (!(rate > 0)) {
+            alert(`Please enter how many ${this.baseCurrency} one ${currency} is worth.`);
+            return;
+        }
+        this.currencyRates = { ...this.currencyRates, [currency]: rate };
+        document.getElementById('rateValueInput').value = '';
+        this.saveCurrencySettings();
+        this.renderCurrencySettings();
+    }
+
+    // Expenses keep the rate they were recorded with, so removing a rate only affects new ones
+    removeCurrencyRate(currency) {
+        const { [currency]: removed, ...rates } = this.currencyRates;
+        this.currencyRates = rates;
+        this.saveCurrencySettings();
+        this.renderCurrencySettings();
+    }
+
+    /**
+     * Switch the group to another base currency. Every stored rate is re-expressed against
+     * the new base using the rate table, so balances stay the same apart from rounding.
+     */
+    changeBaseCurrency(currency) {
+        if (currency === this.baseCurrency) return;
+        const newBaseRate = this.currencyRates[currency];
+        const hasAmounts = this.expenses.length > 0 || this.payments.length > 0 || Object.keys(this.currencyRates).length > 0;
+        if (hasAmounts && !newBaseRate) {
+            alert(`Add an exchange rate for ${currency} first, so existing amounts can be converted.`);
+            this.renderCurrencySettings();
+            return;
+        }
+
+        this.recordHistory(`change base currency to ${currency}`);
+        const rebase = entry => ({ ...entry, rate: entry.currency === currency ? 1 : entry.rate / newBaseRate });
+        if (newBaseRate) {
+            const { [currency]: removed, ...otherRates } = this.currencyRates;
+            this.currencyRates = Object.fromEntries([
+                ...Object.entries(otherRates).map(([code, rate]) => [code, rate / newBaseRate]),
+                [this.baseCurrency, 1 / newBaseRate]
+            ]);
+            this.expenses = this.expenses.map(rebase);
+            this.payments = this.payments.map(rebase);
+        }
+        this.baseCurrency = currency;
+        this.saveCurrencySettings();
+        this.updateBalances();
+        this.saveData();
+        this.render();
+    }
+
+    saveCurrencySettings() {
+        if (!this.groupId) return this.saveQueue;
+        const groupPath = `/api/groups/${encodeURIComponent(this.groupId)}`;
+        const body = JSON.stringify({ baseCurrency: this.baseCurrency, currencyRates: this.currencyRates });
+        this.saveQueue = this.saveQueue
+            .then(() => apiRequest(groupPath, { method: 'PATCH', body }))
+            .catch(error => {
+                console.error('Error saving currencies:', error);
+                alert('Could not save the currency settings. Please check your connection.');
+            });
+        return this.saveQueue;
+    }
+
+    // Show the rate field and the base currency equivalent while an expense is in another currency
+    renderExpenseConversion() {
+        const currency = this.expenseCurrencySelect.value;
+        const isForeign = !!currency && currency !== this.baseCurrency;
+        document.getElementById('expenseRateRow').style.display = isForeign ? 'flex' : 'none';
+        if (!isForeign) return;
+        document.getElementById('expenseRateLabel').textContent = `1 ${currency} =`;
+        const amountMinor = toMinorUnits(parseAmountInput(document.getElementById('expenseAmount').value));
+        const rate = parseAmountInput(document.getElementById('expenseRate').value);
+        document.getElementById('expenseConvertedHint').textContent = rate > 0
+            ? `${this.baseCurrency}${amountMinor >= 1 ? ` · ${formatMoney(convertMinorUnits(amountMinor, rate), this.baseCurrency)}` : ''}`
+            : this.baseCurrency;
+    }
+
+    // Import/Export Management
+    getCurrentSettlements() {
+        return this.settlementPlan === 'optimized'
+            ? this.calculateOptimizedSettlements().settlements
+            : this.calculateSettlements();
+    }
+
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    exportFileName(extension) {
+        const group = this.getActiveGroup();
+        const slug = (group ? group.name : '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'split-share';
+        return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    // Spreadsheet-friendly CSV with a section each for people, expenses, payments and settlements
+    exportCsv() {
+        const major = minorUnits => (minorUnits / 100).toFixed(2);
+        const nameOf = id => this.people.find(p => p.id === id)?.name || '';
+        const rows = [
+            ['People'],
+            ['Name', `Balance (${this.baseCurrency})`],
+            ...this.people.map(person => [person.name, major(person.balance)]),
+            [],
+            ['Expenses'],
+            ['Date', 'Description', 'Category', 'Amount', 'Currency', 'Rate', 'Paid By', 'Split Method', ...this.people.map(person => `${person.name} Share`)],
+            ...this.expenses.map(expense => {
+                const shares = getExpenseShares(expense);
+                const method = expense.splitMethod === 'custom' ? `custom (${expense.shareMode})` : expense.splitMethod;
+                return [
+                    expense.date.slice(0, 10), expense.description, expense.category || '', major(expense.amountMinor), expense.currency, expense.rate,
+                    nameOf(expense.paidBy), method,
+                    ...this.people.map(person => major(shares[person.id] || 0))
+                ];
+            }),
+            [],
+            ['Payments'],
+            ['Date', 'From', 'To', 'Amount', 'Currency', 'Rate'],
+            ...this.payments.map(payment => [
+                payment.date.slice(0, 10), nameOf(payment.from), nameOf(payment.to), major(payment.amountMinor), payment.currency, payment.rate
+            ]),
+            [],
+            ['Settlements'],
+            ['From', 'To', `Amount (${this.baseCurrency})`],
+            ...this.getCurrentSettlements().map(settlement => [settlement.from.name, settlement.to.name, major(settlement.amount)])
+        ];
+        this.downloadFile(this.exportFileName('csv'), toCsv(rows), 'text/csv');
+    }
+
+    // Versioned JSON document that can be imported into any group
+    exportJson() {
+        const group = this.getActiveGroup();
+        const ledger = {
+            format: LEDGER_FORMAT,
+            version: LEDGER_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            group: { name: group ? group.name : '' },
+            baseCurrency: this.baseCurrency,
+            currencyRates: this.currencyRates,
+            people: this.people.map(({ id, name }) => ({ id, name })),
+            expenses: this.expenses,
+            payments: this.payments,
+            settlements: this.getCurrentSettlements().map(settlement => ({
+                from: settlement.from.id,
+                to: settlement.to.id,
+                amountMinor: settlement.amount
+            }))
+        };
+        this.downloadFile(this.exportFileName('json'), JSON.stringify(ledger, null, 2), 'application/json');
+    }
+
+    openImportModal() {
+        this.pendingImport = null;
+        document.getElementById('importAlert').innerHTML = '';
+        document.getElementById('importFile').value = '';
+        this.renderImport();
+        document.getElementById('importModal').classList.add('active');
+    }
+
+    async readImportFile(file) {
+        if (!file) {
+            this.pendingImport = null;
+            this.renderImport();
+            return;
+        }
+        try {
+            this.loadImportText(file.name, await file.text());
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            showAlert('importAlert', 'Could not read that file. Please try again.');
+        }
+    }
+
+    loadImportText(fileName, text) {
+        document.getElementById('importAlert').innerHTML = '';
+        this.pendingImport = null;
+        if (/\.json$/i.test(fileName) || text.trim().startsWith('{')) {
+            try {
+                this.pendingImport = { fileName, kind: 'json', ledger: JSON.parse(text) };
+            } catch (error) {
+                showAlert('importAlert', 'This file is not valid JSON');
+            }
+        } else {
+            const [headers, ...rows] = parseCsv(text);
+            if (!headers || headers.every(header => header.trim() === '')) {
+                showAlert('importAlert', 'This CSV file has no header row');
+            } else {
+                this.pendingImport = { fileName, kind: 'csv', headers, rows, mapping: this.guessCsvMapping(headers) };
+            }
+        }
+        this.renderImport();
+    }
+
+    findPersonByName(name, people = this.people) {
+        const key = name.trim().toLowerCase();
+        return people.find(p => p.name.toLowerCase() === key) || null;
+    }
+
+    // Splitwise's fixed columns keep their roles; every other column is a person, matched by name
+    guessCsvMapping(headers) {
+        return headers.map(header => {
+            const key = header.trim().toLowerCase();
+            if (IMPORT_COLUMN_ROLES[key]) return key;
+            if (key === 'amount') return 'cost';
+            if (key === '') return 'ignore';
+            const person = this.findPersonByName(header);
+            return person ? `person:${person.id}` : 'new';
+        });
+    }
+
+    /**
+     * Resolve a person for an import, reusing a group member with the same name
+     * or staging a new person. Throws when a new name isn't a valid person name.
+     */
+    stageImportPerson(name, stage) {
+        const trimmedName = String(name || '').trim();
+        const existing = this.findPersonByName(trimmedName, stage.people);
+        if (existing) return existing;
+        if (!validateInput(trimmedName, 'string', null, 30)) {
+            throw new Error(`"${trimmedName}" is not a valid person name (1-30 characters)`);
+        }
+        const person = { id: stage.nextId++, name: trimmedName, balance: 0 };
+        stage.people.push(person);
+        stage.newPeople.push(person);
+        return person;
+    }
+
+    createImportStage() {
+        return {
+            people: [...this.people],
+            newPeople: [],
+            expenses: [],
+            payments: [],
+            entries: [],
+            error: null,
+            nextId: Date.now()
+        };
+    }
+
+    /**
+     * Turn Splitwise-style CSV rows into expenses and payments. Each person column holds how
+     * much that row changed the person's balance: what they paid minus their share.
+     * @returns {Object} - Import stage with new people, expenses, payments and a preview entry per row
+     */
+    stageCsvImport({ headers, rows, mapping }) {
+        const stage = this.createImportStage();
+        const duplicateRole = Object.keys(IMPORT_COLUMN_ROLES).find(role => mapping.filter(r => r === role).length > 1);
+        if (duplicateRole) {
+            stage.error = `Only one column can be ${IMPORT_COLUMN_ROLES[duplicateRole]}`;
+            return stage;
+        }
+        const missingRole = ['description', 'cost'].find(role => !mapping.includes(role));
+        if (missingRole) {
+            stage.error = `Please choose the ${IMPORT_COLUMN_ROLES[missingRole]} column`;
+            return stage;
+        }
+
+        const personColumns = [];
+        try {
+            mapping.forEach((role, column) => {
+                let person = null;
+                if (role === 'new') {
+                    person = this.stageImportPerson(headers[column], stage);
+                } else if (role.startsWith('person:')) {
+                    person = stage.people.find(p => p.id === parseInt(role.slice('person:'.length)));
+                }
+                if (!person) return;
+                if (personColumns.some(entry => entry.person === person)) {
+                    throw new Error(`More than one column is mapped to ${person.name}`);
+                }
+                personColumns.push({ column, person });
+            });
+        } catch (error) {
+            stage.error = error.message;
+            return stage;
+        }
+        if (personColumns.length < 2) {
+            stage.error = 'Please map at least two columns to people';
+            return stage;
+        }
+
+        rows.forEach((cells, index) => {
+            const valueOf = role => (cells[mapping.indexOf(role)] || '').trim();
+            // Splitwise ends its export with a blank line and a "Total balance" row
+            if (cells.every(cell => cell.trim() === '') || /^total balance$/i.test(valueOf('description'))) return;
+
+            const entry = {
+                label: `Row ${index + 2}`,
+                description: valueOf('description'),
+                amountMinor: parseCsvAmount(valueOf('cost'))
+            };
+            try {
+                const currency = valueOf('currency').toUpperCase() || this.baseCurrency;
+                if (!isValidCurrencyCode(currency)) {
+                    throw new Error('The currency must be a three-letter code such as USD');
+                }
+                entry.currency = currency;
+                entry.date = parseImportDate(valueOf('date'));
+                const nets = personColumns.map(({ column, person }) => {
+                    const cell = (cells[column] || '').trim();
+                    return { person, net: cell === '' ? 0 : parseCsvAmount(cell) };
+                });
+                if (!(entry.amountMinor >= 1)) {
+                    throw new Error(minimumAmountError(entry.currency));
+                }
+                if (nets.some(({ net }) => isNaN(net))) {
+                    throw new Error('Every person column must be an amount');
+                }
+                if (nets.reduce((sum, { net }) => sum + net, 0) !== 0) {
+                    throw new Error('The person columns do not add up to zero');
+                }
+
+                const credited = nets.filter(({ net }) => net > 0);
+                if (/^payment$/i.test(valueOf('category'))) {
+                    const debited = nets.filter(({ net }) => net < 0);
+                    if (credited.length !== 1 || debited.length !== 1 || credited[0].net !== entry.amountMinor) {
+                        throw new Error('A payment must move the full cost from one person to one other person');
+                    }
+                    const [from, to] = [credited[0].person, debited[0].person];
+                    const rate = this.getExchangeRate(entry.currency);
+                    stage.payments.push({
+                        id: stage.nextId++, from: from.id, to: to.id, amountMinor: entry.amountMinor, currency: entry.currency, rate, date: entry.date
+                    });
+                    entry.detail = `${from.name} paid ${to.name}`;
+                } else {
+                    if (credited.length === 0) {
+                        throw new Error('Cannot tell who paid, as no balances change');
+                    }
+                    if (credited.length > 1) {
+                        throw new Error('Paid by more than one person; split it into one expense per payer');
+                    }
+                    const payer = credited[0].person;
+                    const owed = nets
+                        .map(({ person, net }) => [person.id, person === payer ? entry.amountMinor - net : -net])
+                        .filter(([, share]) => share !== 0);
+                    if (owed.some(([, share]) => share < 0)) {
+                        throw new Error(`${payer.name}'s balance change is more than the cost`);
+                    }
+
+                    // Keep even splits as equal splits; anything else becomes fixed amounts
+                    const splitBetween = owed.map(([personId]) => personId);
+                    const payerFirst = [...splitBetween].sort((a, b) => (b === payer.id) - (a === payer.id)).map(String);
+                    const equalShares = allocateMinorUnits(entry.amountMinor, payerFirst, payerFirst.map(() => 1));
+                    const isEqual = owed.every(([personId, share]) => equalShares[personId] === share);
+                    const expense = this.buildExpense({
+                        description: entry.description,
+                        amount: entry.amountMinor / 100,
+                        paidById: payer.id,
+                        splitBetween,
+                        splitMethod: isEqual ? 'equal' : 'custom',
+                        shares: isEqual ? null : Object.fromEntries(owed.map(([personId, share]) => [personId, share / 100])),
+                        shareMode: isEqual ? null : 'fixed',
+                        currency: entry.currency,
+                        category: valueOf('category')
+                    }, stage.people);
+                    stage.expenses.push({ id: stage.nextId++, ...expense, date: entry.date });
+                    entry.detail = `Paid by ${payer.name}, ${isEqual ? 'equal' : 'custom'} split`;
+                }
+            } catch (error) {
+                entry.error = error.message;
+            }
+            stage.entries.push(entry);
+        });
+        return stage;
+    }
+
+    /**
+     * Turn a JSON ledger export into expenses and payments for this group, mapping its
+     * people onto group members by name and checking every expense like the Add Expense form.
+     */
+    stageJsonImport(ledger) {
+        const stage = this.createImportStage();
+        if (!ledger || ledger.format !== LEDGER_FORMAT) {
+            stage.error = 'This JSON file is not a Split Share export';
+            return stage;
+        }
+        if (!Number.isInteger(ledger.version) || ledger.version > LEDGER_FORMAT_VERSION) {
+            stage.error = 'This file was exported by a newer version of Split Share';
+            return stage;
+        }
+        if (![ledger.people, ledger.expenses, ledger.payments].every(Array.isArray)) {
+            stage.error = 'This export is missing its people, expenses or payments';
+            return stage;
+        }
+
+        // Rates in the file are against its own base currency; otherwise this group's rates apply
+        const fileBaseCurrency = ledger.baseCurrency || DEFAULT_CURRENCY;
+        if (!isValidCurrencyCode(fileBaseCurrency)) {
+            stage.error = 'This export has an invalid base currency';
+            return stage;
+        }
+        const rateFromFile = entry => fileBaseCurrency === this.baseCurrency ? entry.rate : null;
+        const idMap = new Map();
+        try {
+            ledger.people.forEach(person => idMap.set(person.id, this.stageImportPerson(person.name, stage).id));
+        } catch (error) {
+            stage.error = error.message;
+            return stage;
+        }
+        const mapId = id => {
+            if (!idMap.has(id)) {
+                throw new Error('Refers to a person who is not in the file');
+            }
+            return idMap.get(id);
+        };
+
+        ledger.expenses.forEach((rawExpense = {}, index) => {
+            const entry = { label: `Expense ${index + 1}`, description: String(rawExpense.description || ''), amountMinor: NaN };
+            try {
+                const expense = normalizeExpense(rawExpense, fileBaseCurrency);
+                entry.amountMinor = expense.amountMinor;
+                if (!isValidCurrencyCode(expense.currency)) {
+                    throw new Error('Please choose a valid currency');
+                }
+                entry.currency = expense.currency;
+                entry.date = parseImportDate(expense.date);
+                const isMoneyMode = expense.shareMode === 'fixed' || expense.shareMode === 'adjustment';
+                const shares = expense.splitMethod === 'custom' && expense.shares
+                    ? Object.fromEntries(Object.entries(expense.shares).map(([personId, share]) => [
+                        mapId(Number(personId)),
+                        isMoneyMode ? share / 100 : share
+                    ]))
+                    : null;
+                const receipt = expense.splitMethod === 'itemized' && expense.receipt
+                    ? { ...expense.receipt, items: (expense.receipt.items || []).map(item => ({ ...item, assignedTo: (item.assignedTo || []).map(mapId) })) }
+                    : null;
+                const built = this.buildExpense({
+                    description: entry.description,
+                    amount: expense.amountMinor / 100,
+                    paidById: mapId(expense.paidBy),
+                    splitBetween: (expense.splitBetween || []).map(mapId),
+                    splitMethod: expense.splitMethod,
+                    shares,
+                    shareMode: expense.splitMethod === 'custom' ? expense.shareMode : null,
+                    receipt,
+                    currency: expense.currency,
+                    rate: rateFromFile(expense),
+                    category: expense.category
+                }, stage.people);
+                stage.expenses.push({ id: stage.nextId++, ...built, date: entry.date });
+                entry.detail = `Paid by ${stage.people.find(p => p.id === built.paidBy).name}, ${built.splitMethod} split`;
+            } catch (error) {
+                entry.error = error.message;
+            }
+            stage.entries.push(entry);
+        });
+
+        ledger.payments.forEach((rawPayment, index) => {
+            const payment = normalizeCurrency(rawPayment || {}, fileBaseCurrency);
+            const entry = { label: `Payment ${index + 1}`, description: 'Payment', amountMinor: payment.amountMinor };
+            try {
+                if (!isValidCurrencyCode(payment.currency)) {
+                    throw new Error('Please choose a valid currency');
+                }
+                entry.currency = payment.currency;
+                entry.date = parseImportDate(payment.date);
+                const [from, to] = [mapId(payment.from), mapId(payment.to)];
+                if (!Number.isInteger(payment.amountMinor) || payment.amountMinor < 1) {
+                    throw new Error(minimumAmountError(payment.currency));
+                }
+                if (from === to) {
+                    throw new Error('A payment must be between two different people');
+                }
+                const rate = this.getExchangeRate(payment.currency, rateFromFile(payment));
+                stage.payments.push({
+                    id: stage.nextId++, from, to, amountMinor: payment.amountMinor, currency: payment.currency, rate, date: entry.date
+                });
+                const nameOf = id => stage.people.find(p => p.id === id).name;
+                entry.detail = `${nameOf(from)} paid ${nameOf(to)}`;
+            } catch (error) {
+                entry.error = error.message;
+            }
+            stage.entries.push(entry);
+        });
+        return stage;
+    }
+
+    renderImport() {
+        const mappingEl = document.getElementById('importMapping');
+        const previewEl = document.getElementById('importPreview');
+        const submitBtn = document.getElementById('importSubmitBtn');
+        const pending = this.pendingImport;
+        submitBtn.textContent = 'Import';
+        submitBtn.disabled = true;
+        if (!pending) {
+            mappingEl.innerHTML = '';
+            previewEl.innerHTML = '';
+            return;
+        }
+
+        if (pending.kind === 'csv') {
+            mappingEl.innerHTML = `
+                <div class="form-label">Columns</div>
+                ${pending.headers.map((header, column) => {
+                    const options = [
+                        ...Object.entries(IMPORT_COLUMN_ROLES),
+                        ['ignore', 'Ignore'],
+                        ...this.people.map(person => [`person:${person.id}`, `Person: ${person.name}`]),
+                        ...(header.trim() ? [['new', `New person: ${header.trim()}`]] : [])
+                    ];
+                    return `
+                        <div class="import-mapping-row">
+                            <span class="import-column-name">${this.escapeHtml(header) || `Column ${column + 1}`}</span>
+                            <select class="form-select" data-column="${column}">
+                                ${options.map(([value, label]) => `<option value="${this.escapeHtml(value)}" ${pending.mapping[column] === value ? 'selected' : ''}>${this.escapeHtml(label)}</option>`).join('')}
+                            </select>
+                        </div>
+                    `;
+                }).join('')}
+            `;
+        } else {
+            mappingEl.innerHTML = '';
+        }
+
+        const stage = pending.kind === 'csv' ? this.stageCsvImport(pending) : this.stageJsonImport(pending.ledger);
+        pending.stage = stage;
+        if (stage.error) {
+            previewEl.innerHTML = `<div class="alert alert-error">${this.escapeHtml(stage.error)}</div>`;
+            return;
+        }
+
+        const readyCount = stage.expenses.length + stage.payments.length;
+        const skippedCount = stage.entries.length - readyCount;
+        const shownEntries = stage.entries.slice(0, 100);
+        previewEl.innerHTML = `
+            <div class="import-summary">
+                ${stage.expenses.length} expense${stage.expenses.length !== 1 ? 's' : ''} and ${stage.payments.length} payment${stage.payments.length !== 1 ? 's' : ''} ready${skippedCount ? `, ${skippedCount} row${skippedCount !== 1 ? 's' : ''} will be skipped` : ''}.
+                ${stage.newPeople.length ? `New people: ${stage.newPeople.map(person => this.escapeHtml(person.name)).join(', ')}.` : ''}
+            </div>
+            <table class="import-table">
+                <thead><tr><th>Row</th><th>Date</th><th>Description</th><th>Amount</th><th>Details</th></tr></thead>
+                <tbody>
+                    ${shownEntries.map(entry => `
+                        <tr class="${entry.error ? 'import-row-error' : ''}">
+                            <td>${this.escapeHtml(entry.label)}</td>
+                            <td>${entry.date ? new Date(entry.date).toLocaleDateString() : ''}</td>
+                            <td>${this.escapeHtml(entry.description)}</td>
+                            <td>${isNaN(entry.amountMinor) || !entry.currency ? '' : this.escapeHtml(formatMoney(entry.amountMinor, entry.currency))}</td>
+                            <td>${this.escapeHtml(entry.error || entry.detail)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${stage.entries.length > shownEntries.length ? `<div class="import-summary">…and ${stage.entries.length - shownEntries.length} more rows</div>` : ''}
+        `;
+        submitBtn.disabled = readyCount === 0;
+        submitBtn.textContent = `Import ${readyCount} Entr${readyCount !== 1 ? 'ies' : 'y'}`;
+    }
+
+    importStaged() {
+        const stage = this.pendingImport && this.pendingImport.stage;
+        if (!stage || stage.error || stage.expenses.length + stage.payments.length === 0) {
+            showAlert('importAlert', 'There is nothing to import from this file');
+            return false;
+        }
+        this.recordHistory(`import "${this.pendingImport.fileName}"`);
+        this.people.push(...stage.newPeople);
+        this.expenses.push(...stage.expenses.map(expense => ({ ...expense, createdBy: this.userId })));
+        this.payments.push(...stage.payments.map(payment => ({ ...payment, createdBy: this.userId })));
+        this.pendingImport = null;
+        this.updateBalances();
+        this.saveData();
+        this.render();
+        return true;
+    }
+
+    // Payment Management
+    openPaymentModal(fromId, toId, amountMinor) {
+        const fromPerson = this.people.find(p => p.id === fromId);
+        const toPerson = this.people.find(p => p.id === toId);
+        if (!fromPerson || !toPerson) return;
+        
+        this.pendingPayment = { from: fromId, to: toId, owedMinor: amountMinor };
+        document.getElementById('recordPaymentAlert').innerHTML = '';
+        document.getElementById('recordPaymentInfo').innerHTML =
+            `<strong>${this.escapeHtml(fromPerson.name)}</strong> owes <strong>${this.escapeHtml(toPerson.name)}</strong> ${formatMoney(amountMinor, this.baseCurrency)}. Enter a smaller amount for a partial payment.`;
+        document.getElementById('paymentAmount').value = (amountMinor / 100).toFixed(2);
+        document.getElementById('recordPaymentModal').classList.add('active');
+        document.getElementById('paymentAmount').focus();
+    }
+
+    recordPayment(amount) {
+        if (!this.pendingPayment) return false;
+        const amountMinor = toMinorUnits(amount);
+        if (!(amountMinor >= 1)) {
+            showAlert('recordPaymentAlert', minimumAmountError(this.baseCurrency));
+            return false;
+        }
+        if (amountMinor > this.pendingPayment.owedMinor) {
+            showAlert('recordPaymentAlert', `Amount cannot be more than the ${formatMoney(this.pendingPayment.owedMinor, this.baseCurrency)} owed`);
+            return false;
+        }
+        
+        this.recordHistory('record payment');
+        this.payments.push({
+            id: Date.now(),
+            from: this.pendingPayment.from,
+            to: this.pendingPayment.to,
+            amountMinor,
+            currency: this.baseCurrency,
+            rate: 1,
+            date: new Date().toISOString(),
+            createdBy: this.userId
+        });
+        this.pendingPayment = null;
+        this.updateBalances();
+        this.saveData();
+        this.render();
+        return true;
+    }
+
+    removePayment(id) {
+        if (confirm('Are you sure you want to delete this payment? The amount will be owed again.')) {
+            this.recordHistory('delete payment');
+            this.payments = this.payments.filter(p => p.id !== id);
+            this.updateBalances();
+            this.saveData();
+            this.render();
+        }
+    }
+
+    // Settlement Logic
+    calculateSettlements() {
+        const settlements = [];
+        const people = [...this.people].map(p => ({...p}));
+        
+        // Sort by balance: creditors (positive) first, then debtors (negative)
+        people.sort((a, b) => b.balance - a.balance);
+        
+        // Balances are integer minor units, so settled means exactly zero
+        let creditors = people.filter(p => p.balance > 0);
+        let debtors = people.filter(p => p.balance < 0);
+        
+        // Minimize transactions using greedy algorithm
+        while (creditors.length > 0 && debtors.length > 0) {
+            const creditor = creditors[0];
+            const debtor = debtors[0];
+            
+            const amount = Math.min(creditor.balance, Math.abs(debtor.balance));
+            
+            if (amount > 0) {
+                settlements.push({
+                    from: debtor,
+                    to: creditor,
+                    amount: amount
+                });
+                
+                creditor.balance -= amount;
+                debtor.balance += amount;
+            }
+            
+            // Remove settled people
+            if (creditor.balance === 0) {
+                creditors.shift();
+            }
+            if (debtor.balance === 0) {
+                debtors.shift();
+            }
+        }
+        
+        return settlements;
+    }
+
+    // Who last paid for an expense each person shared in, for the "prefer last payer" rule
+    getLastPayers() {
+        const lastPayers = new Map();
+        [...this.expenses]
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .forEach(expense => {
+                Object.keys(getExpenseShares(expense)).forEach(personId => {
+                    if (parseInt(personId) !== expense.paidBy) {
+                        lastPayers.set(parseInt(personId), expense.paidBy);
+                    }
+                });
+            });
+        return lastPayers;
+    }
+
+    calculateOptimizedSettlements() {
+        const plan = optimizeSettlements(
+            this.people.map(p => ({ id: p.id, balance: p.balance })),
+            {
+                forbidden: new Set(this.settlementRules.forbiddenPairs.map(([a, b]) => settlementPairKey(a, b))),
+                preferred: this.settlementRules.preferLastPayer ? this.getLastPayers() : new Map()
+            }
+        );
+        const personById = id => this.people.find(p => p.id === id);
+        return {
+            settlements: plan.transfers.map(t => ({ from: personById(t.from), to: personById(t.to), amount: t.amount })),
+            exact: plan.exact,
+            complete: plan.complete
+        };
+    }
+
+    setSettlementPlan(plan) {
+        this.settlementPlan = plan;
+        this.renderSettlements();
+    }
+
+    addForbiddenPair(firstId, secondId) {
+        if (!firstId || !secondId || firstId === secondId) {
+            alert('Please choose two different people.');
+            return;
+        }
+        const key = settlementPairKey(firstId, secondId);
+        if (this.settlementRules.forbiddenPairs.some(([a, b]) => settlementPairKey(a, b) === key)) {
+            return;
+        }
+        this.settlementRules.forbiddenPairs.push([firstId, secondId]);
+        this.saveSettlementRules();
+        this.renderSettlements();
+    }
+
+    removeForbiddenPair(index) {
+        this.settlementRules.forbiddenPairs.splice(index, 1);
+        this.saveSettlementRules();
+        this.renderSettlements();
+    }
+
+    saveSettlementRules() {
+        if (!this.groupId) return this.saveQueue;
+        const groupPath = `/api/groups/${encodeURIComponent(this.groupId)}`;
+        const body = JSON.stringify({ settlementRules: this.settlementRules });
+        this.saveQueue = this.saveQueue
+            .then(() => apiRequest(groupPath, { method: 'PATCH', body }))
+            .catch(error => {
+                console.error('Error saving settlement rules:', error);
+                alert('Could not save the settlement rules. Please check your connection.');
+            });
+        return this.saveQueue;
+    }
+
+    renderSettlementRules() {
+        const nameOf = id => {
+            const person = this.people.find(p => p.id === id);
+            return person ? this.escapeHtml(person.name) : 'N/A';
+        };
+        this.forbiddenPairsList.innerHTML = this.settlementRules.forbiddenPairs.length === 0
+            ? '<p class="settlement-rules-empty">No rules yet. Anyone may pay anyone.</p>'
+            : this.settlementRules.forbiddenPairs.map(([a, b], index) => `
+                <div class="forbidden-pair">
+                    <span>Never route money between <strong>${nameOf(a)}</strong> and <strong>${nameOf(b)}</strong></span>
+                    <button class="btn btn-danger btn-small" data-action="remove-forbidden-pair" data-id="${index}" title="Remove rule">×</button>
+                </div>
+            `).join('');
+
+        const options = this.people.map(person => `<option value="${person.id}">${this.escapeHtml(person.name)}</option>`).join('');
+        ['ruleFirstPerson', 'ruleSecondPerson'].forEach(id => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = options;
+            if (previous) select.value = previous;
+        });
+        this.preferLastPayerInput.checked = this.settlementRules.preferLastPayer;
+    }
+
+    renderSettlements() {
+        this.renderSettlementRules();
+        
+        const simpleSettlements = this.calculateSettlements();
+        const optimized = this.calculateOptimizedSettlements();
+        const transferCount = count => `${count} transfer${count !== 1 ? 's' : ''}`;
+        
+        this.simplePlanBtn.textContent = `Simple · ${transferCount(simpleSettlements.length)}`;
+        this.optimizedPlanBtn.textContent = `Optimized · ${transferCount(optimized.settlements.length)}${optimized.exact ? '' : ' (approx.)'}`;
+        this.simplePlanBtn.classList.toggle('active', this.settlementPlan === 'simple');
+        this.optimizedPlanBtn.classList.toggle('active', this.settlementPlan === 'optimized');
+        
+        const settlements = this.settlementPlan === 'optimized' ? optimized.settlements : simpleSettlements;
+        const warning = this.settlementPlan === 'optimized' && !optimized.complete
+            ? '<div class="alert alert-error">Some debts cannot be settled without breaking a settlement rule.</div>'
+            : '';
+        
+        if (settlements.length === 0) {
+            this.settlementsList.innerHTML = warning || `
+                <div class="empty-state">
+                    <div class="empty-state-icon">✅</div>
+                    <p>All debts are settled! Everyone's balance is zero.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        this.settlementsList.innerHTML = warning + settlements.map((settlement, index) => `
+            <div class="settlement-item">
+                <div class="settlement-info">
+                    <strong>${this.escapeHtml(settlement.from.name)}</strong> owes <strong>${this.escapeHtml(settlement.to.name)}</strong>
+                </div>
+                <div class="settlement-actions">
+                    <div class="settlement-amount">
+                        ${formatMoney(settlement.amount, this.baseCurrency)}
+                    </div>
+                    ${this.can('addEntries') ? `<button class="btn btn-primary btn-small" data-action="settle-up" data-from="${settlement.from.id}" data-to="${settlement.to.id}" data-amount="${settlement.amount}" title="Record a payment">Mark as paid</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+        
+        // Add summary
+        const totalTransfers = settlements.length;
+        const totalAmount = settlements.reduce((sum, s) => sum + s.amount, 0);
+        
+        this.settlementsList.innerHTML += `
+            <div style="margin-top: 20px; padding: 16px; background: rgba(79, 209, 199, 0.1); border-radius: 8px; border: 1px solid rgba(79, 209, 199, 0.2);">
+                <div style="color: #2c3e50; font-weight: 600; margin-bottom: 8px;">Settlement Summary</div>
+                <div style="color: #718096; font-size: 14px;">
+                    ${totalTransfers} transaction${totalTransfers !== 1 ? 's' : ''} needed • Total amount: ${formatMoney(totalAmount, this.baseCurrency)}
+                    <br>Simple plan: ${transferCount(simpleSettlements.length)} • Optimized plan: ${transferCount(optimized.settlements.length)}
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Modal Functions
+function closeModal(modalId) {
+    document.getElementById(modalId).classList.remove('active');
+}
+
+// Global Functions for the page's buttons
+async function saveGroup() {
+    const name = document.getElementById('groupName').value;
+    if (await splitShare.saveGroupName(name)) {
+        closeModal('groupModal');
+    }
+}
+
+function addPerson() {
+    const name = document.getElementById('personName').value;
+    if (splitShare.addPerson(name)) {
+        closeModal('addPersonModal');
+    }
+}
+
+async function sendInvite() {
+    await splitShare.createInvite(
+        document.getElementById('invitePerson').value,
+        document.getElementById('inviteRole').value,
+        document.getElementById('inviteEmail').value
+    );
+}
+
+function recordPayment() {
+    const amount = parseAmountInput(document.getElementById('paymentAmount').value);
+    if (splitShare.recordPayment(amount)) {
+        closeModal('recordPaymentModal');
+    }
+}
+
+function importLedger() {
+    if (splitShare.importStaged()) {
+        closeModal('importModal');
+    }
+}
+
+async function addExpense() {
+    const description = document.getElementById('expenseDescription').value;
+    const amount = parseAmountInput(document.getElementById('expenseAmount').value);
+    const paidById = document.getElementById('expensePaidBy').value;
+    const splitMethod = splitShare.splitMethod;
+    
+    let splitBetween = Array.from(document.querySelectorAll('#splitBetweenCheckboxes input:checked')).map(el => parseInt(el.value));
+    let shares = null;
+    let shareMode = null;
+    let receipt = null;
+
+    if (splitMethod === 'itemized') {
+        receipt = splitShare.getReceipt();
+    } else if (splitMethod === 'custom') {
+        shareMode = document.getElementById('shareMode').value;
+        shares = splitShare.readCustomShareInputs(shareMode);
+        splitBetween = Object.keys(shares).map(id => parseInt(id));
+    }
+
+    const currency = document.getElementById('expenseCurrency').value;
+    const rate = currency === splitShare.baseCurrency ? 1 : parseAmountInput(document.getElementById('expenseRate').value);
+    const category = document.getElementById('expenseCategory').value;
+    const fields = [description, amount, paidById, splitBetween, splitMethod, shares, shareMode, receipt, currency, rate, category];
+    const frequency = document.getElementById('expenseRepeat').value;
+    let saved;
+    if (splitShare.editingExpenseId !== null) {
+        saved = splitShare.updateExpense(splitShare.editingExpenseId, ...fields);
+    } else if (frequency) {
+        const schedule = {
+            frequency,
+            intervalDays: frequency === 'custom' ? Number(document.getElementById('expenseRepeatInterval').value) : null,
+            startDate: document.getElementById('expenseRepeatStart').value,
+            endDate: document.getElementById('expenseRepeatEnd').value
+        };
+        saved = await splitShare.addRecurringExpense(schedule, ...fields);
+    } else {
+        saved = splitShare.addExpense(...fields);
+    }
+    if (saved) {
+        closeModal('addExpenseModal');
+    }
+}
+
+// Initialize everything
+const basicCalculator = new BasicCalculator();
+const simpleCalculator = new SimpleCalculator();
+const splitShare = new SplitShare();
+
+// Page actions, by the data-action attribute of the element that triggers them
+// Person, expense and payment ids are numbers; data attributes hold strings, hence Number()
+const PAGE_ACTIONS = {
+    'calc-clear': () => basicCalculator.clear(),
+    'calc-backspace': () => basicCalculator.backspace(),
+    'calc-parenthesis': el => basicCalculator.appendParenthesis(el.dataset.value),
+    'calc-percent': () => basicCalculator.appendPercent(),
+    'calc-number': el => basicCalculator.appendNumber(el.dataset.value),
+    'calc-decimal': () => basicCalculator.appendDecimal(),
+    'calc-operator': el => basicCalculator.setOperator(el.dataset.value),
+    'calc-equals': () => basicCalculator.calculate(),
+    'close-modal': el => closeModal(el.dataset.modal),
+    'add-person': addPerson,
+    'record-payment': recordPayment,
+    'save-group': saveGroup,
+    'send-invite': sendInvite,
+    'import-ledger': importLedger,
+    'add-expense': addExpense,
+    'remove-person': el => splitShare.removePerson(Number(el.dataset.id)),
+    'edit-expense': el => splitShare.editExpense(Number(el.dataset.id)),
+    'remove-expense': el => splitShare.removeExpense(Number(el.dataset.id)),
+    'remove-payment': el => splitShare.removePayment(Number(el.dataset.id)),
+    'validate-custom-shares': () => splitShare.validateCustomShares(),
+    'accept-invite': el => splitShare.acceptInvite(el.dataset.id),
+    'decline-invite': el => splitShare.declineInvite(el.dataset.id),
+    'resend-verification': () => splitShare.resendVerification(),
+    'change-member-role': el => splitShare.updateMember(el.dataset.id, { role: el.value }),
+    'change-member-person': el => splitShare.updateMember(el.dataset.id, { personId: el.value || null }),
+    'leave-group': () => splitShare.leaveGroup(),
+    'remove-member': el => splitShare.removeMember(el.dataset.id),
+    'revoke-invite': el => splitShare.revokeInvite(el.dataset.id),
+    'skip-recurring': el => splitShare.skipRecurring(el.dataset.id),
+    'stop-recurring': el => splitShare.stopRecurring(el.dataset.id),
+    'remove-currency-rate': el => splitShare.removeCurrencyRate(el.dataset.id),
+    'remove-forbidden-pair': el => splitShare.removeForbiddenPair(Number(el.dataset.id)),
+    'settle-up': el => splitShare.openPaymentModal(Number(el.dataset.from), Number(el.dataset.to), Number(el.dataset.amount))
+};
+
+// Run actions for clicks, or for the event named in data-on (change, input)
+['click', 'change', 'input'].forEach(type => {
+    document.addEventListener(type, (e) => {
+        const element = e.target.closest('[data-action]');
+        if (!element || (element.dataset.on || 'click') !== type || element.disabled) return;
+        const action = PAGE_ACTIONS[element.dataset.action];
+        if (action) {
+            action(element);
+        } else {
+            console.error(`Unknown action: ${element.dataset.action}`);
+        }
+    });
+});
+
+// Close modals when clicking outside
+document.addEventListener('click', (e) => {
+    if (e.target.classList.contains('modal')) {
+        e.target.classList.remove('active');
+    }
+});
+
+// Keyboard shortcuts
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        document.querySelectorAll('.modal.active').forEach(modal => closeModal(modal.id));
+    }
+});
@@ -0,0 +1,160 @@
+/**
+ * Money and split rules shared by the calculator, the dashboard and the server
+ * Amounts are handled as integer minor units (paisa) so splits add up exactly. The pages load
+ * this file before their own script and use the functions as globals; the server requires it,
+ * so the dashboard's totals are worked out exactly as each group's balances are.
+ */
+
+// Currencies offered for groups and expenses; every one of them has two decimal places
+const CURRENCY_SYMBOLS = { PKR: 'Rs', USD: '$', EUR: '€', GBP: '£', AED: 'AED ', SAR: 'SAR ', INR: '₹', CAD: 'C$', AUD: 'A$' };
+// Groups created before multi-currency support were kept in rupees
+const DEFAULT_CURRENCY = 'PKR';
+
+// Currencies are ISO 4217 codes; ones without a symbol are shown by their code
+function isValidCurrencyCode(code) {
+    return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+function toMinorUnits(amount) {
+    const value = Number(amount);
+    if (!isFinite(value)) return NaN;
+    // Shift the decimal point in the string form so 1.005 becomes 101 rather than 100
+    const shifted = String(value).includes('e') ? value * 100 : Number(`${value}e2`);
+    return Math.round(shifted);
+}
+
+function formatMoney(minorUnits, currency = DEFAULT_CURRENCY) {
+    const sign = minorUnits < 0 ? '-' : '';
+    const absolute = Math.abs(minorUnits);
+    const major = Math.floor(absolute / 100);
+    const minor = String(absolute % 100).padStart(2, '0');
+    const symbol = CURRENCY_SYMBOLS[currency] ?? `${currency} `;
+    return `${sign}${symbol}${major}.${minor}`;
+}
+
+// Rates are how many units of the base currency one unit of another currency is worth
+function convertMinorUnits(minorUnits, rate) {
+    return Math.round(minorUnits * rate);
+}
+
+/**
+ * Split an integer total in proportion to integer weights so the parts sum exactly to the total.
+ * Each part is rounded down, then the leftover units go one at a time to the largest
+ * remainders; ties go to whoever comes first in `keys`, so callers decide who absorbs
+ * odd paisa by ordering the keys.
+ * @param {number} total - Amount in minor units
+ * @param {string[]} keys - Recipients, in tie-break order
+ * @param {number[]} weights - Non-negative integer weight per key
+ * @returns {Object} - Minor units per key
+ */
+function allocateMinorUnits(total, keys, weights) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const allocation = {};
+    if (keys.length === 0 || weightSum <= 0) return allocation;
+
+    let allocated = 0;
+    const remainders = keys.map((key, index) => {
+        const numerator = total * weights[index];
+        const remainder = numerator % weightSum;
+        allocation[key] = (numerator - remainder) / weightSum;
+        allocated += allocation[key];
+        return { key, remainder, index };
+    });
+
+    remainders.sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (let i = 0; i < total - allocated; i++) {
+        allocation[remainders[i % remainders.length].key] += 1;
+    }
+    return allocation;
+}
+
+/**
+ * Turn stored custom shares into minor units per person.
+ * Percentages and share units are proportional weights; fixed amounts are used as-is;
+ * adjustments are added to an equal split of whatever the adjustments leave over.
+ */
+function resolveShares(amountMinor, shareMode, shares, paidBy) {
+    const personIds = Object.keys(shares)
+        .sort((a, b) => (parseInt(b) === paidBy) - (parseInt(a) === paidBy));
+
+    if (shareMode === 'percentage' || shareMode === 'shares') {
+        // Both are entered to two decimals, so scale them to integer weights
+        const weights = personIds.map(id => Math.round(parseFloat(shares[id]) * 100));
+        return allocateMinorUnits(amountMinor, personIds, weights);
+    }
+    if (shareMode === 'adjustment') {
+        const remaining = amountMinor - personIds.reduce((sum, id) => sum + shares[id], 0);
+        const base = allocateMinorUnits(Math.abs(remaining), personIds, personIds.map(() => 1));
+        return Object.fromEntries(personIds.map(id => [id, Math.sign(remaining) * base[id] + shares[id]]));
+    }
+    return Object.fromEntries(personIds.map(id => [id, shares[id]]));
+}
+
+/**
+ * Resolve what each person owes for an expense, in minor units.
+ * The shares always add up to the expense amount exactly; when it doesn't divide evenly
+ * the payer absorbs the leftover paisa first, then people in split order.
+ * @returns {Object} - Minor units keyed by person id
+ */
+function getExpenseShares(expense) {
+    if ((expense.splitMethod === 'custom' || expense.splitMethod === 'itemized') && expense.shares) {
+        return resolveShares(expense.amountMinor, expense.shareMode, expense.shares, expense.paidBy);
+    }
+
+    const payerFirst = (a, b) => (b === expense.paidBy) - (a === expense.paidBy);
+    const personIds = [...expense.splitBetween].sort(payerFirst).map(String);
+    return allocateMinorUnits(expense.amountMinor, personIds, personIds.map(() => 1));
+}
+
+/**
+ * What each person owes for an expense in the group's base currency. The converted total
+ * is split in proportion to the original shares, so it still adds up exactly.
+ * @returns {Object} - Base currency minor units keyed by person id
+ */
+function getBaseShares(expense) {
+    const shares = getExpenseShares(expense);
+    if (expense.rate === 1) return shares;
+    const personIds = Object.keys(shares)
+        .sort((a, b) => (parseInt(b) === expense.paidBy) - (parseInt(a) === expense.paidBy));
+    return allocateMinorUnits(
+        convertMinorUnits(expense.amountMinor, expense.rate),
+        personIds,
+        personIds.map(id => shares[id])
+    );
+}
+
+// Expenses and payments saved before multi-currency support are in the base currency
+function normalizeCurrency(entry, baseCurrency) {
+    if (entry.currency) return entry;
+    return { ...entry, currency: baseCurrency, rate: 1 };
+}
+
+function normalizeExpense(expense, baseCurrency) {
+    if (Number.isInteger(expense.amountMinor)) return normalizeCurrency(expense, baseCurrency);
+    // Expenses saved before amounts were kept in minor units carry a rupee `amount`
+    const { amount, ...rest } = expense;
+    const normalized = { ...rest, amountMinor: toMinorUnits(amount) };
+    if (expense.shareMode === 'fixed' && expense.shares) {
+        normalized.shares = Object.fromEntries(
+            Object.entries(expense.shares).map(([personId, share]) => [personId, toMinorUnits(share)])
+        );
+    }
+    return normalizeCurrency(normalized, baseCurrency);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CURRENCY_SYMBOLS,
+        DEFAULT_CURRENCY,
+        allocateMinorUnits,
+        convertMinorUnits,
+        formatMoney,
+        getBaseShares,
+        getExpenseShares,
+        isValidCurrencyCode,
+        normalizeCurrency,
+        normalizeExpense,
+        resolveShares,
+        toMinorUnits
+    };
+}
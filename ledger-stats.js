@@ -0,0 +1,162 @@
+/**
+ * Spending analytics for the dashboard
+ * Works out, across every group a user is in, what they owe and are owed, how much they spent
+ * each month, their top expense categories and the latest activity. Shares are split the same
+ * way as the calculator splits them (both use ledger-math.js), so the dashboard agrees with each
+ * group's balances. A user's side of a group is the person their membership is linked to; groups
+ * where they aren't linked to anyone only count towards recent activity, and list the people the
+ * user could pick as themselves.
+ */
+
+const {
+    DEFAULT_CURRENCY,
+    convertMinorUnits,
+    getBaseShares,
+    normalizeCurrency,
+    normalizeExpense
+} = require('./ledger-math');
+
+const MONTHS = 6;
+const TOP_CATEGORIES = 5;
+const RECENT_ACTIVITY = 10;
+
+/**
+ * Each person's balance in the group's base currency: positive when they are owed money
+ * @returns {Map<string, number>} Minor units keyed by person id
+ */
+function getBalances(group, currency) {
+    const balances = new Map((group.people || []).map(person => [String(person.id), 0]));
+    const add = (personId, amount) => {
+        const key = String(personId);
+        if (balances.has(key)) balances.set(key, balances.get(key) + amount);
+    };
+    (group.expenses || []).map(expense => normalizeExpense(expense, currency)).forEach(expense => {
+        add(expense.paidBy, convertMinorUnits(expense.amountMinor, expense.rate));
+        Object.entries(getBaseShares(expense)).forEach(([personId, share]) => add(personId, -share));
+    });
+    (group.payments || []).map(payment => normalizeCurrency(payment, currency)).forEach(payment => {
+        const amount = convertMinorUnits(payment.amountMinor, payment.rate);
+        add(payment.from, amount);
+        add(payment.to, -amount);
+    });
+    return balances;
+}
+
+/**
+ * The last `count` months as YYYY-MM, oldest first
+ */
+function recentMonths(now, count) {
+    return Array.from({ length: count }, (_, index) => {
+        const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (count - 1 - index), 1));
+        return date.toISOString().slice(0, 7);
+    });
+}
+
+/**
+ * Dashboard statistics for a user
+ * Money is reported per base currency, since groups can keep their books in different currencies.
+ * @param {Object[]} groups - The groups the user is a member of
+ * @param {function(Object): (string|number|null)} personIdOf - The person the user is linked to in a group
+ * @param {Date} [now]
+ * @returns {{currencies: Object[], groups: Object[], unlinkedGroups: number, recentActivity: Object[]}}
+ */
+function buildDashboardStats(groups, personIdOf, now = new Date()) {
+    const months = recentMonths(now, MONTHS);
+    const totals = new Map();
+    const totalsFor = currency => {
+        if (!totals.has(currency)) {
+            totals.set(currency, { currency, youOweMinor: 0, owedToYouMinor: 0, spentMinor: new Map(), categories: new Map() });
+        }
+        return totals.get(currency);
+    };
+    const activity = [];
+
+    const groupSummaries = groups.map(group => {
+        const currency = group.baseCurrency || DEFAULT_CURRENCY;
+        const personId = personIdOf(group);
+        const linked = personId !== null && personId !== undefined &&
+            (group.people || []).some(person => String(person.id) === String(personId));
+        const nameOf = id => ((group.people || []).find(person => String(person.id) === String(id)) || {}).name || null;
+        let balanceMinor = null;
+
+        if (linked) {
+            const total = totalsFor(currency);
+            balanceMinor = getBalances(group, currency).get(String(personId));
+            if (balanceMinor > 0) total.owedToYouMinor += balanceMinor;
+            if (balanceMinor < 0) total.youOweMinor -= balanceMinor;
+        }
+
+        (group.expenses || []).map(expense => normalizeExpense(expense, currency)).forEach(expense => {
+            const share = linked ? getBaseShares(expense)[String(personId)] || 0 : null;
+            const date = typeof expense.date === 'string' ? expense.date : null;
+            if (share > 0) {
+                const total = totalsFor(currency);
+                const month = date ? date.slice(0, 7) : null;
+                if (months.includes(month)) {
+                    total.spentMinor.set(month, (total.spentMinor.get(month) || 0) + share);
+                }
+                const category = expense.category || null;
+                const entry = total.categories.get(category) || { category, amountMinor: 0, count: 0 };
+                entry.amountMinor += share;
+                entry.count++;
+                total.categories.set(category, entry);
+            }
+            activity.push({
+                type: 'expense',
+                groupId: group.id,
+                groupName: group.name,
+                date,
+                description: expense.description,
+                category: expense.category || null,
+                amountMinor: expense.amountMinor,
+                currency: expense.currency,
+                paidBy: nameOf(expense.paidBy),
+                yourShareMinor: share,
+                baseCurrency: currency
+            });
+        });
+        (group.payments || []).map(payment => normalizeCurrency(payment, currency)).forEach(payment => {
+            activity.push({
+                type: 'payment',
+                groupId: group.id,
+                groupName: group.name,
+                date: typeof payment.date === 'string' ? payment.date : null,
+                amountMinor: payment.amountMinor,
+                currency: payment.currency,
+                from: nameOf(payment.from),
+                to: nameOf(payment.to),
+                involvesYou: linked && (String(payment.from) === String(personId) || String(payment.to) === String(personId))
+            });
+        });
+
+        // Who an unlinked user could say they are: people no other member is linked to
+        const unclaimedPeople = linked ? [] : (group.people || [])
+            .filter(person => !(group.members || []).some(member =>
+                member.personId !== null && member.personId !== undefined && String(member.personId) === String(person.id)))
+            .map(person => ({ id: person.id, name: person.name }));
+
+        return { id: group.id, name: group.name, currency, archived: !!group.archived, linked, balanceMinor, unclaimedPeople };
+    });
+
+    return {
+        currencies: [...totals.values()].map(total => ({
+            currency: total.currency,
+            youOweMinor: total.youOweMinor,
+            owedToYouMinor: total.owedToYouMinor,
+            monthlySpend: months.map(month => ({ month, amountMinor: total.spentMinor.get(month) || 0 })),
+            topCategories: [...total.categories.values()]
+                .sort((a, b) => b.amountMinor - a.amountMinor)
+                .slice(0, TOP_CATEGORIES)
+        })),
+        groups: groupSummaries,
+        unlinkedGroups: groupSummaries.filter(group => !group.linked).length,
+        recentActivity: activity
+            .filter(entry => entry.date)
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, RECENT_ACTIVITY)
+    };
+}
+
+module.exports = {
+    buildDashboardStats
+};
@@ -0,0 +1,149 @@
+/**
+ * Brute-force protection for sign-in
+ * Failed attempts are counted per IP address and per account. After a few free attempts
+ * each further failure makes the caller wait twice as long as the last one, and enough
+ * failures lock the IP or account out for a while. Counters are written to a JSON file
+ * so restarting the server doesn't reset them.
+ */
+
+const fs = require('fs');
+
+const BASE_DELAY = 1000;
+const MAX_DELAY = 5 * 60 * 1000;
+// Counters are forgotten after this long without a failure
+const FORGET_AFTER = 60 * 60 * 1000;
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Many people can share an IP address, so IPs get more room than single accounts
+const POLICIES = {
+    ip: { freeAttempts: 20, lockoutAfter: 50, lockoutDuration: 60 * 60 * 1000 },
+    account: { freeAttempts: 5, lockoutAfter: 10, lockoutDuration: 15 * 60 * 1000 }
+};
+
+class LoginThrottle {
+    /**
+     * @param {{file: string}} options - Where the counters are kept
+     */
+    constructor({ file }) {
+        this.file = file;
+        this.entries = this.load();
+        this.saving = null;
+        this.pendingSave = false;
+
+        const timer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+        timer.unref();
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            return entries && typeof entries === 'object' ? entries : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading sign-in attempts, starting with none:', error.message);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Write the counters via a temporary file, folding overlapping writes into one follow-up
+     */
+    persist() {
+        if (this.saving) {
+            this.pendingSave = true;
+            return this.saving;
+        }
+        this.saving = (async () => {
+            do {
+                this.pendingSave = false;
+                const tempFile = `${this.file}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify(this.entries));
+                await fs.promises.rename(tempFile, this.file);
+            } while (this.pendingSave);
+        })().finally(() => {
+            this.saving = null;
+        });
+        return this.saving.catch(error => console.error('Error saving sign-in attempts:', error));
+    }
+
+    prune() {
+        const stale = Object.keys(this.entries).filter(key => !this.getEntry(key));
+        if (stale.length > 0) {
+            stale.forEach(key => delete this.entries[key]);
+            this.persist();
+        }
+    }
+
+    /**
+     * The counter for a key, or null when it has none or it has been forgotten
+     */
+    getEntry(key) {
+        const entry = this.entries[key];
+        if (!entry) return null;
+        const now = Date.now();
+        return entry.blockedUntil > now || now - entry.lastFailureAt < FORGET_AFTER ? entry : null;
+    }
+
+    /**
+     * The keys an attempt is counted against
+     * @param {string} ip - Client IP address
+     * @param {string} email - The email being signed in to; unknown emails are counted too
+     * @param {string} [action] - Counts attempts apart from sign-in, e.g. 'reset' for password reset emails
+     */
+    keysFor(ip, email, action = null) {
+        const prefix = action ? `${action}:` : '';
+        return [
+            { type: 'ip', key: `${prefix}ip:${ip}` },
+            { type: 'account', key: `${prefix}account:${String(email).trim().toLowerCase()}` }
+        ];
+    }
+
+    /**
+     * How long the caller must wait before trying again
+     * @returns {{retryAfter: number, locked: boolean}} retryAfter in milliseconds, 0 when allowed
+     */
+    check(keys) {
+        const now = Date.now();
+        return keys.reduce((result, { key }) => {
+            const entry = this.getEntry(key);
+            const wait = entry ? Math.max(entry.blockedUntil - now, 0) : 0;
+            return wait > result.retryAfter ? { retryAfter: wait, locked: entry.locked } : result;
+        }, { retryAfter: 0, locked: false });
+    }
+
+    /**
+     * Count a failed attempt against every key
+     * @returns {Promise<{retryAfter: number, locked: boolean}>} The wait the failure caused
+     */
+    async recordFailure(keys) {
+        const now = Date.now();
+        keys.forEach(({ type, key }) => {
+            const policy = POLICIES[type];
+            const failures = (this.getEntry(key) ? this.entries[key].failures : 0) + 1;
+            const locked = failures >= policy.lockoutAfter;
+            const delay = locked
+                ? policy.lockoutDuration
+                : failures > policy.freeAttempts
+                    ? Math.min(BASE_DELAY * 2 ** (failures - policy.freeAttempts - 1), MAX_DELAY)
+                    : 0;
+            this.entries[key] = { failures, lastFailureAt: now, blockedUntil: now + delay, locked };
+        });
+        await this.persist();
+        return this.check(keys);
+    }
+
+    /**
+     * Clear the account counter after a successful sign-in
+     * The IP counter is left alone, so signing in to your own account can't reset it
+     * while guessing someone else's password
+     */
+    async recordSuccess(keys) {
+        const accountKeys = keys.filter(({ type, key }) => type === 'account' && this.entries[key]);
+        if (accountKeys.length === 0) return;
+        accountKeys.forEach(({ key }) => delete this.entries[key]);
+        await this.persist();
+    }
+}
+
+module.exports = LoginThrottle;
@@ -0,0 +1,65 @@
+/**
+ * Mail delivery for account emails such as password resets
+ * Messages go through a transport: any object with an async send(message) method.
+ * The default transport writes each message to the outbox directory instead of sending it,
+ * so the flows that need email work, and can be tested, without a mail server.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const OUTBOX_DIR = path.join(__dirname, 'outbox');
+
+/**
+ * Create a transport that saves each message as an .eml file in `dir`
+ * @param {string} dir - Directory to write messages to; created when the first message is sent
+ */
+function createOutboxTransport(dir = OUTBOX_DIR) {
+    return {
+        async send(message) {
+            await fs.mkdir(dir, { recursive: true });
+            const fileName = `${message.date.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+            const content = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${new Date(message.date).toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                message.text
+            ].join('\n');
+            await fs.writeFile(path.join(dir, fileName), content);
+            console.log(`Mail to ${message.to} written to ${path.join(dir, fileName)}`);
+            return { id: fileName };
+        }
+    };
+}
+
+let transport = createOutboxTransport();
+
+/**
+ * Replace the transport, e.g. with one that talks to an SMTP server or a mail API
+ * @param {{send: function(Object): Promise}} nextTransport
+ */
+function setTransport(nextTransport) {
+    if (!nextTransport || typeof nextTransport.send !== 'function') {
+        throw new TypeError('A mail transport needs a send(message) method');
+    }
+    transport = nextTransport;
+}
+
+/**
+ * Send a plain-text email through the current transport
+ * @param {{to: string, subject: string, text: string}} message
+ */
+async function sendMail({ to, subject, text }) {
+    return transport.send({ from: config.mailFrom, to, subject, text, date: new Date().toISOString() });
+}
+
+module.exports = {
+    sendMail,
+    setTransport,
+    createOutboxTransport
+};
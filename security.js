@@ -0,0 +1,102 @@
+/**
+ * Browser-facing protections: CORS, CSRF tokens and security headers
+ * Sessions live in a cookie that the browser sends with every request, so requests that change
+ * anything must also carry a token that only this site's pages can read (X-CSRF-Token).
+ * Cross-origin access is limited to the configured origins, and every response gets a
+ * Content-Security-Policy and the usual hardening headers.
+ */
+
+const crypto = require('crypto');
+
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * CORS options allowing credentialed requests from the listed origins only
+ * Requests without an Origin header (same-origin navigation, curl) aren't cross-origin and pass.
+ * @param {string[]} allowedOrigins - Origins such as https://split.example.com
+ */
+function corsOptions(allowedOrigins) {
+    return {
+        origin(origin, callback) {
+            callback(null, !origin || allowedOrigins.includes(origin));
+        },
+        credentials: true
+    };
+}
+
+/**
+ * The session's CSRF token, created the first time it is needed
+ */
+function getCsrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+    }
+    return req.session.csrfToken;
+}
+
+function tokensMatch(expected, given) {
+    if (typeof expected !== 'string' || typeof given !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Refuse state-changing requests whose X-CSRF-Token header doesn't match the session's token
+ * Responds 403 with code CSRF_INVALID, which the pages take as a cue to fetch a new token and retry
+ */
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+    if (!tokensMatch(req.session && req.session.csrfToken, req.get(CSRF_HEADER))) {
+        return res.status(403).json({
+            error: 'Your session token is missing or out of date. Reload the page and try again.',
+            code: 'CSRF_INVALID'
+        });
+    }
+    next();
+}
+
+/**
+ * Set the Content-Security-Policy and hardening headers on every response
+ * Scripts only load from the app's own files: inline <script> blocks and event handlers
+ * (onclick="...") are blocked, so pages attach their listeners from script files.
+ * @param {{cookieSecure: boolean}} config - HSTS is only sent when the site is served over HTTPS
+ */
+function securityHeaders(config) {
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': [
+                "default-src 'self'",
+                "script-src 'self'",
+                // The pages use style="..." attributes
+                "style-src 'self' 'unsafe-inline'",
+                // Profile pictures come from Google, QR codes are data: URLs
+                "img-src 'self' data: https:",
+                "connect-src 'self'",
+                "object-src 'none'",
+                "base-uri 'self'",
+                "form-action 'self'",
+                "frame-ancestors 'none'"
+            ].join('; '),
+            'X-Content-Type-Options': 'nosniff',
+            'X-Frame-Options': 'DENY',
+            'Referrer-Policy': 'same-origin',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+        });
+        if (config.cookieSecure) {
+            res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+        }
+        next();
+    };
+}
+
+module.exports = {
+    corsOptions,
+    csrfProtection,
+    getCsrfToken,
+    securityHeaders
+};
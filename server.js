@@ -12,141 +12,810 @@ const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const config = require('./config');
+const FileSessionStore = require('./session-store');
+const LoginThrottle = require('./login-throttle');
+const { createUserStore, DuplicateEmailError } = require('./user-store');
+const QRCode = require('qrcode');
+const totp = require('./totp');
+const mailer = require('./mailer');
+const { buildDashboardStats } = require('./ledger-stats');
+const { DEFAULT_CURRENCY, isValidCurrencyCode } = require('./ledger-math');
+const { corsOptions, csrfProtection, getCsrfToken, securityHeaders } = require('./security');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+if (config.trustProxy) {
+    // Behind a reverse proxy: needed for secure cookies and for the client IPs in the session list
+    app.set('trust proxy', 1);
+}
 
 // Middleware
-app.use(cors());
+app.disable('x-powered-by');
+app.use(securityHeaders(config));
+// Credentials are allowed so the calculator can reach the ledger API with its session cookie,
+// but only from the app's own origin and those listed in CORS_ORIGINS
+app.use(cors(corsOptions(config.corsOrigins)));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration
+// The store is kept in a variable so a user's other sessions can be listed and revoked
+const sessionStore = config.sessionStore === 'memory'
+    ? new session.MemoryStore()
+    : new FileSessionStore({ file: config.sessionFile, maxAge: config.sessionMaxAge });
 app.use(session({
-    secret: 'your-secret-key-change-this-in-production',
+    store: sessionStore,
+    secret: config.sessionSecret,
     resave: false,
     saveUninitialized: false,
     cookie: {
-        secure: false, // Set to true if using HTTPS
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        httpOnly: true,
+        secure: config.cookieSecure,
+        sameSite: config.cookieSameSite,
+        maxAge: config.sessionMaxAge
     }
 }));
 
+// Every POST, PUT, PATCH and DELETE must send the session's token in X-CSRF-Token (GET /api/auth/csrf-token)
+app.use(csrfProtection);
+
+// Failed sign-ins per IP and per account, kept across restarts
+const loginThrottle = new LoginThrottle({ file: config.loginAttemptsFile });
+
+// User accounts, in users.json or a SQLite database (USER_STORE); opened before the server starts
+const userStore = createUserStore(config);
+
 // Initialize Passport
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Remember which device each signed-in session is on, for the session list
+app.use((req, res, next) => {
+    if (req.isAuthenticated()) {
+        const device = req.session.device;
+        const lastSeen = device ? new Date(device.lastSeenAt).getTime() : 0;
+        if (!device || device.ip !== req.ip || Date.now() - lastSeen > SESSION_TOUCH_INTERVAL) {
+            recordSessionDevice(req, device ? device.signedInAt : undefined);
+        }
+    }
+    next();
+});
+
 // File paths
-const USERS_FILE = path.join(__dirname, 'users.json');
-const CREDENTIALS_FILE = path.join(__dirname, 'client_secret_1009038599977-7k9rklbaiu5t6ofsk9vr32lrp4nqa6tj.apps.googleusercontent.com.json');
+const GROUPS_FILE = path.join(__dirname, 'groups.json');
+
+// How often the scheduler looks for recurring expenses that have fallen due
+const RECURRING_CHECK_INTERVAL = 60 * 60 * 1000;
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'custom'];
+
+// What each role in a shared group may do; only the owner manages the group and its members
+const GROUP_ROLES = {
+    owner: ['manageGroup', 'editSettings', 'editAllEntries', 'addEntries'],
+    editor: ['editSettings', 'editAllEntries', 'addEntries'],
+    member: ['addEntries'],
+    viewer: []
+};
+const INVITE_ROLES = ['editor', 'member', 'viewer'];
+const INVITE_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_NAME_LENGTH = 100;
+const MAX_CATEGORY_LENGTH = 30;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Password reset links stop working after an hour
+const PASSWORD_RESET_LIFETIME = 60 * 60 * 1000;
+// Email verification links stop working after a day
+const EMAIL_VERIFICATION_LIFETIME = 24 * 60 * 60 * 1000;
+// How long after the password step the authenticator code can be entered
+const TWO_FACTOR_PENDING_LIFETIME = 5 * 60 * 1000;
+// How long a Google sign-in waits for the password that connects it to an existing account
+const GOOGLE_LINK_LIFETIME = 10 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_ISSUER = 'Split Bill Calculator';
+
+const USER_ROLES = ['user', 'admin'];
+const ADMIN_PAGE_SIZE = 20;
+const MAX_ADMIN_PAGE_SIZE = 100;
+
+// How often a session's last-seen time is refreshed, so every request doesn't rewrite the session
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+const CREDENTIALS_FILE = config.googleCredentialsFile;
+
+/**
+ * Strip secrets such as the password hash and reset token before a user record leaves the server
+ */
+function toSafeUser(user) {
+    const { password, passwordReset, emailVerification, emailChange, twoFactor, twoFactorSetup, ...safeUser } = user;
+    return {
+        ...safeUser,
+        role: getUserRole(user),
+        twoFactorEnabled: hasTwoFactor(user),
+        pendingEmail: emailChange && emailChange.expiresAt > new Date().toISOString() ? emailChange.email : null
+    };
+}
+
+function hasTwoFactor(user) {
+    return Boolean(user.twoFactor && user.twoFactor.enabled);
+}
+
+/**
+ * New single-use recovery codes such as "3f9a1-c07be", returned for showing once
+ * along with the hashes that are stored in their place
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Check a second-factor code: the current code from the authenticator app, or an unused recovery code
+ * Whatever is accepted is used up, so the caller must save the user
+ * @returns {'totp'|'recovery'|null} How the user proved it, or null for a wrong code
+ */
+function consumeSecondFactor(user, code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+    if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+    const recoveryCode = normalizeRecoveryCode(code);
+    const index = recoveryCode.length === 10 ? user.twoFactor.recoveryCodes.indexOf(hashToken(recoveryCode)) : -1;
+    if (index !== -1) {
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        return 'recovery';
+    }
+    return null;
+}
+
+/**
+ * A user's site-wide role. Verified accounts whose email is in ADMIN_EMAILS are always admins,
+ * which is how the first admin is made
+ */
+function getUserRole(user) {
+    if (user.role === 'admin') return 'admin';
+    const email = (user.email || '').toLowerCase();
+    return isEmailVerified(user) && config.adminEmails.includes(email) ? 'admin' : 'user';
+}
+
+/**
+ * Describe a device from its User-Agent header, e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent = '') {
+    // Order matters: Chrome's user agent also mentions Safari, and Android's mentions Linux
+    const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//], ['Chrome', /Chrome\//], ['Safari', /Safari\//]];
+    const systems = [['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+    if (!browser && !system) {
+        return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+    }
+    return `${browser ? browser[0] : 'Browser'}${system ? ` on ${system[0]}` : ''}`;
+}
+
+/**
+ * Store the device, IP and last activity of the current session
+ */
+function recordSessionDevice(req, signedInAt = new Date().toISOString()) {
+    req.session.device = {
+        name: describeDevice(req.get('user-agent')),
+        ip: req.ip,
+        signedInAt,
+        lastSeenAt: new Date().toISOString()
+    };
+}
+
+/**
+ * List the stored sessions signed in as `userId`, as [sessionId, session] pairs
+ */
+function getUserSessions(userId) {
+    return new Promise((resolve, reject) => {
+        sessionStore.all((error, sessions) => {
+            if (error) return reject(error);
+            resolve(Object.entries(sessions || {})
+                .filter(([, data]) => data && data.passport && data.passport.user === userId));
+        });
+    });
+}
+
+function destroySession(sessionId) {
+    return new Promise((resolve, reject) => {
+        sessionStore.destroy(sessionId, error => error ? reject(error) : resolve());
+    });
+}
+
+/**
+ * Sign a user out everywhere except `keepSessionId`, e.g. after their password changes
+ * Resolves to the number of sessions ended
+ */
+async function revokeUserSessions(userId, keepSessionId = null) {
+    const sessions = (await getUserSessions(userId)).filter(([sessionId]) => sessionId !== keepSessionId);
+    await Promise.all(sessions.map(([sessionId]) => destroySession(sessionId)));
+    return sessions.length;
+}
+
+/**
+ * Session ids work as credentials, so clients only ever see a hash of them
+ */
+function toClientSession(sessionId, data, currentSessionId) {
+    const device = data.device || {};
+    return {
+        id: hashToken(sessionId),
+        device: device.name || 'Unknown device',
+        ip: device.ip || null,
+        signedInAt: device.signedInAt || null,
+        lastSeenAt: device.lastSeenAt || null,
+        current: sessionId === currentSessionId
+    };
+}
+
+/**
+ * Format a wait in seconds for messages, e.g. "45 seconds" or "15 minutes"
+ */
+function formatWait(seconds) {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Refuse a throttled sign-in with 429 and a Retry-After header
+ * @param {{retryAfter: number, locked: boolean}} wait - From loginThrottle, retryAfter in milliseconds
+ * @param {string} prefix - Said first, e.g. why the attempt that caused the wait failed
+ */
+function sendTooManyAttempts(res, { retryAfter, locked }, prefix = '') {
+    const seconds = Math.ceil(retryAfter / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({
+        error: locked
+            ? `${prefix}Too many failed sign-in attempts. Signing in is locked for ${formatWait(seconds)}.`
+            : `${prefix}Too many failed sign-in attempts. Try again in ${formatWait(seconds)}.`,
+        retryAfter: seconds,
+        locked
+    });
+}
+
+/**
+ * Refuse a throttled password reset request with 429 and a Retry-After header
+ * @param {{retryAfter: number}} wait - From loginThrottle, retryAfter in milliseconds
+ */
+function sendTooManyResetRequests(res, { retryAfter }) {
+    const seconds = Math.ceil(retryAfter / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({
+        error: `Too many password reset requests. Try again in ${formatWait(seconds)}.`,
+        retryAfter: seconds
+    });
+}
+
+/**
+ * Password sign-ups start unverified; Google accounts and accounts created before
+ * verification existed count as verified
+ */
+function isEmailVerified(user) {
+    return user.emailVerified !== false;
+}
+
+/**
+ * Give a user a new email verification token, replacing any earlier one
+ * Only a hash is stored; the caller saves the user and mails the returned token
+ */
+function startEmailVerification(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.emailVerified = false;
+    user.emailVerification = {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_LIFETIME).toISOString()
+    };
+    return token;
+}
+
+/**
+ * Tell a user their password changed, in case it wasn't them; failures are only logged
+ */
+function sendPasswordChangedEmail(user) {
+    return mailer.sendMail({
+        to: user.email,
+        subject: 'Your Split Bill Calculator password was changed',
+        text: `Hi ${user.name || ''},\n\nThe password for your account was just changed. If this wasn't you, reset it again straight away from the sign-in page.`
+    }).catch(error => console.error('Password change notice error:', error));
+}
+
+/**
+ * Mail the link that confirms a user's email address
+ */
+function sendVerificationEmail(user, token) {
+    return mailer.sendMail({
+        to: user.email,
+        subject: 'Confirm your Split Bill Calculator email address',
+        text: `Hi ${user.name || ''},\n\nOpen this link to confirm your email address. It expires in 24 hours:\n\n${config.baseUrl}/api/auth/verify?token=${token}\n\nIf you didn't create an account, you can ignore this email.`
+    });
+}
 
 /**
- * Initialize users.json file if it doesn't exist
+ * Initialize groups.json file if it doesn't exist
  */
-async function initializeUsersFile() {
+async function initializeGroupsFile() {
     try {
-        await fs.access(USERS_FILE);
-        console.log('Users file exists');
+        await fs.access(GROUPS_FILE);
+        console.log('Groups file exists');
     } catch (error) {
-        // Create empty users file
-        await fs.writeFile(USERS_FILE, JSON.stringify([], null, 2));
-        console.log('Created empty users file');
+        await fs.writeFile(GROUPS_FILE, JSON.stringify([], null, 2));
+        console.log('Created empty groups file');
     }
 }
 
 /**
- * Load users from JSON file
+ * Load group ledgers from JSON file
+ * A broken file is never overwritten so ledgers can be recovered by hand
  */
-async function loadUsers() {
+async function loadGroups() {
     try {
-        const data = await fs.readFile(USERS_FILE, 'utf8');
+        const data = await fs.readFile(GROUPS_FILE, 'utf8');
         if (!data || data.trim() === '') {
-            console.log('Users file is empty, returning empty array');
             return [];
         }
         const parsed = JSON.parse(data);
-        if (!Array.isArray(parsed)) {
-            console.log('Users file does not contain an array, returning empty array');
-            return [];
-        }
-        return parsed;
+        return Array.isArray(parsed) ? parsed : [];
     } catch (error) {
-        console.error('Error loading users:', error);
-        // If there's an error reading the file, try to create a new one
-        try {
-            await fs.writeFile(USERS_FILE, JSON.stringify([], null, 2));
-            console.log('Created new users file due to error');
-            return [];
-        } catch (writeError) {
-            console.error('Failed to create new users file:', writeError);
+        if (error.code === 'ENOENT') {
             return [];
         }
+        console.error('Error loading groups:', error);
+        throw error;
     }
 }
 
 /**
- * Save users to JSON file
+ * Save group ledgers to JSON file
  */
-async function saveUsers(users) {
+async function saveGroups(groups) {
     try {
-        if (!Array.isArray(users)) {
-            console.error('Invalid users data - not an array:', users);
+        if (!Array.isArray(groups)) {
+            console.error('Invalid groups data - not an array:', groups);
             return false;
         }
-        
-        const jsonData = JSON.stringify(users, null, 2);
-        await fs.writeFile(USERS_FILE, jsonData);
-        console.log(`Successfully saved ${users.length} users to file`);
+        await fs.writeFile(GROUPS_FILE, JSON.stringify(groups, null, 2));
         return true;
     } catch (error) {
-        console.error('Error saving users:', error);
-        console.error('Error stack:', error.stack);
+        console.error('Error saving groups:', error);
         return false;
     }
 }
 
+// Group writes are chained so concurrent requests can't overwrite each other's changes
+let groupsWriteQueue = Promise.resolve();
+
+/**
+ * Run a load-modify-save of groups.json after any pending group writes
+ */
+function withGroupsLock(task) {
+    const run = groupsWriteQueue.then(task);
+    groupsWriteQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Check that a people list sent by the client has the shape SplitShare uses
+ */
+function isValidPeopleList(people) {
+    return Array.isArray(people) && people.every(person =>
+        person && typeof person === 'object' &&
+        (typeof person.id === 'number' || typeof person.id === 'string') &&
+        typeof person.name === 'string' && person.name.trim().length > 0
+    );
+}
+
+/**
+ * Check an exchange rate: how many units of the group's base currency one unit is worth
+ */
+function isValidRate(rate) {
+    return typeof rate === 'number' && isFinite(rate) && rate > 0;
+}
+
+/**
+ * Check a group's rate table, keyed by currency code
+ */
+function isValidCurrencyRates(rates) {
+    return !!rates && typeof rates === 'object' && !Array.isArray(rates) &&
+        Object.entries(rates).every(([code, rate]) => isValidCurrencyCode(code) && isValidRate(rate));
+}
+
+/**
+ * Check the optional currency and rate carried by an expense or payment
+ */
+function hasValidCurrency(entry) {
+    return (entry.currency === undefined || isValidCurrencyCode(entry.currency)) &&
+        (entry.rate === undefined || isValidRate(entry.rate));
+}
+
+/**
+ * Check that an expense list sent by the client has the shape SplitShare uses
+ */
+function isValidExpenseList(expenses) {
+    return Array.isArray(expenses) && expenses.every(expense =>
+        expense && typeof expense === 'object' &&
+        (typeof expense.id === 'number' || typeof expense.id === 'string') &&
+        typeof expense.description === 'string' &&
+        Number.isInteger(expense.amountMinor) && expense.amountMinor > 0 &&
+        Array.isArray(expense.splitBetween) &&
+        hasValidCurrency(expense) &&
+        (expense.category == null || (typeof expense.category === 'string' && expense.category.length <= MAX_CATEGORY_LENGTH))
+    );
+}
+
+/**
+ * Check that a payment list sent by the client has the shape SplitShare uses
+ */
+function isValidPaymentList(payments) {
+    return Array.isArray(payments) && payments.every(payment =>
+        payment && typeof payment === 'object' &&
+        (typeof payment.id === 'number' || typeof payment.id === 'string') &&
+        payment.from !== undefined && payment.to !== undefined && payment.from !== payment.to &&
+        Number.isInteger(payment.amountMinor) && payment.amountMinor > 0 &&
+        hasValidCurrency(payment)
+    );
+}
+
+/**
+ * Check settlement rules: pairs of people who must never pay each other, and the payer preference
+ */
+function isValidSettlementRules(rules) {
+    return !!rules && typeof rules === 'object' &&
+        Array.isArray(rules.forbiddenPairs) &&
+        rules.forbiddenPairs.every(pair => Array.isArray(pair) && pair.length === 2 && pair[0] !== pair[1]) &&
+        typeof rules.preferLastPayer === 'boolean';
+}
+
+/**
+ * Check a YYYY-MM-DD calendar date
+ */
+function isValidDateKey(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check a request to make an expense recurring
+ */
+function isValidRecurringInput({ expense, frequency, intervalDays, startDate, endDate }) {
+    return isValidExpenseList([{ ...expense, id: 'recurring' }]) &&
+        RECURRING_FREQUENCIES.includes(frequency) &&
+        (frequency !== 'custom' || (Number.isInteger(intervalDays) && intervalDays >= 1 && intervalDays <= 365)) &&
+        isValidDateKey(startDate) &&
+        (endDate === undefined || endDate === null || (isValidDateKey(endDate) && endDate >= startDate));
+}
+
+/**
+ * Today's date as YYYY-MM-DD in the server's time zone
+ */
+function todayDateKey() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Work out the date after `dateKey` on which a recurring expense is next due.
+ * Monthly expenses stay on the day of the month they started on, or the month's last day if it is shorter.
+ */
+function nextOccurrenceDate(template, dateKey) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    if (template.frequency === 'monthly') {
+        const startDay = Number(template.startDate.slice(8, 10));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month, Math.min(startDay, daysInMonth))).toISOString().slice(0, 10);
+    }
+    const days = template.frequency === 'weekly' ? 7 : template.intervalDays;
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add every occurrence of a group's recurring expenses that is due by `today` to its expenses
+ * @returns {number} - How many expenses were added
+ */
+function materializeRecurring(group, today) {
+    const generatedAt = new Date().toISOString();
+    let nextId = Date.now();
+    let added = 0;
+    (group.recurring || []).forEach(template => {
+        while (template.nextDate && template.nextDate <= today) {
+            if (template.endDate && template.nextDate > template.endDate) break;
+            group.expenses.push({
+                ...template.expense,
+                id: nextId++,
+                date: `${template.nextDate}T12:00:00.000Z`,
+                recurringId: template.id,
+                occurrenceDate: template.nextDate,
+                createdBy: template.createdBy,
+                generatedAt
+            });
+            added++;
+            template.nextDate = nextOccurrenceDate(template, template.nextDate);
+        }
+        if (template.nextDate && template.endDate && template.nextDate > template.endDate) {
+            template.nextDate = null;
+        }
+    });
+    if (added > 0) {
+        group.updatedAt = generatedAt;
+    }
+    return added;
+}
+
+/**
+ * Materialize due recurring expenses in the given groups and save them if anything was added.
+ * Must run inside withGroupsLock.
+ */
+async function materializeDueExpenses(groups, allGroups = groups) {
+    const today = todayDateKey();
+    const added = groups.reduce((count, group) => count + materializeRecurring(group, today), 0);
+    if (added > 0 && !(await saveGroups(allGroups))) {
+        throw new Error('Failed to save recurring expenses');
+    }
+    return added;
+}
+
 /**
- * Add or update user in users.json (Google OAuth)
- * Avoids duplicates by email
+ * Scheduler tick: add recurring expenses that have fallen due in any group
  */
-async function addOrUpdateGoogleUser(googleProfile) {
+async function runRecurringScheduler() {
     try {
-        const users = await loadUsers();
-        
-        // Check if user already exists
-        const existingUserIndex = users.findIndex(user => 
-            user.email === googleProfile.email
-        );
-        
-        if (existingUserIndex !== -1) {
-            // Update existing user
-            users[existingUserIndex] = {
-                ...users[existingUserIndex],
-                name: googleProfile.name,
-                picture: googleProfile.picture,
-                lastLogin: new Date().toISOString(),
-                googleId: googleProfile.googleId
-            };
-        } else {
-            // Add new user
-            const newUser = {
-                id: Date.now().toString(),
-                googleId: googleProfile.googleId,
-                name: googleProfile.name,
-                email: googleProfile.email,
-                picture: googleProfile.picture,
-                createdAt: new Date().toISOString(),
-                lastLogin: new Date().toISOString()
-            };
-            users.push(newUser);
+        const added = await withGroupsLock(async () => materializeDueExpenses(await loadGroups()));
+        if (added > 0) {
+            console.log(`Added ${added} recurring expense(s)`);
         }
-        
-        await saveUsers(users);
-        return existingUserIndex !== -1 ? users[existingUserIndex] : users[users.length - 1];
     } catch (error) {
-        console.error('Error adding/updating Google user:', error);
-        throw error;
+        console.error('Recurring expense scheduler error:', error);
+    }
+}
+
+/**
+ * A group's members with their roles and linked people.
+ * Groups created before sharing existed only have their owner.
+ */
+function getGroupMembers(group) {
+    return group.members || [{ userId: group.ownerId, name: null, email: null, role: 'owner', personId: null }];
+}
+
+function getMembership(group, userId) {
+    return getGroupMembers(group).find(member => member.userId === userId) || null;
+}
+
+function hasGroupPermission(membership, permission) {
+    return !!membership && GROUP_ROLES[membership.role].includes(permission);
+}
+
+/**
+ * Invites that can still be accepted
+ */
+function getActiveInvites(group) {
+    const now = new Date().toISOString();
+    return (group.invites || []).filter(invite => invite.expiresAt > now);
+}
+
+/**
+ * Invite tokens are only stored hashed, so a leaked groups.json can't be used to join groups
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toClientInvite({ tokenHash, ...invite }) {
+    return invite;
+}
+
+/**
+ * Strip server-side fields before sending a group to a member, and add their role and linked person
+ */
+function toClientGroup(group, userId) {
+    const { ownerId, invites, revision = 0, ...clientGroup } = group;
+    const membership = getMembership(group, userId);
+    return {
+        ...clientGroup,
+        revision,
+        userId,
+        role: membership.role,
+        personId: membership.personId,
+        members: getGroupMembers(group),
+        invites: membership.role === 'owner' ? getActiveInvites(group).map(toClientInvite) : []
+    };
+}
+
+/**
+ * Record a change to a group's people, expenses or payments. Clients send back the revision
+ * they loaded, so a save based on an out-of-date copy is refused instead of overwriting another member's change.
+ */
+function markLedgerChanged(group) {
+    group.revision = (group.revision || 0) + 1;
+    group.updatedAt = new Date().toISOString();
+}
+
+function isStaleRevision(group, revision) {
+    return revision !== (group.revision || 0);
+}
+
+/**
+ * JSON with sorted keys, so two entries compare equal whatever order their fields were written in
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function withCreator(entry, createdBy) {
+    const { createdBy: _, ...rest } = entry;
+    return createdBy === undefined ? rest : { ...rest, createdBy };
+}
+
+/**
+ * Apply a replacement expense or payment list sent by a member. Members may add entries and change
+ * their own; editors and the owner may change any. New entries are stamped with the member who added
+ * them and existing ones keep their creator.
+ * `defaults` are fields clients fill in on older entries, which don't count as a change.
+ * @returns {Array|null} - The entries to store, or null when the member isn't allowed to make the change
+ */
+function applyEntryChanges(current, submitted, membership, defaults = {}) {
+    const canEditAll = hasGroupPermission(membership, 'editAllEntries');
+    const canAdd = hasGroupPermission(membership, 'addEntries');
+    const canChange = entry => canEditAll || (canAdd && entry.createdBy === membership.userId);
+    const currentById = new Map(current.map(entry => [String(entry.id), entry]));
+
+    const entries = [];
+    for (const entry of submitted) {
+        const existing = currentById.get(String(entry.id));
+        if (!existing) {
+            if (!canAdd) return null;
+            entries.push(withCreator(entry, membership.userId));
+            continue;
+        }
+        const updated = withCreator(entry, existing.createdBy);
+        if (stableStringify(updated) !== stableStringify({ ...defaults, ...existing }) && !canChange(existing)) return null;
+        entries.push(updated);
+    }
+    const submittedIds = new Set(submitted.map(entry => String(entry.id)));
+    if (current.some(entry => !submittedIds.has(String(entry.id)) && !canChange(entry))) return null;
+    return entries;
+}
+
+/**
+ * Check a replacement people list against the member's role and the accounts linked to people
+ * @returns {{status: number, error: string}|null} - Why the list is refused, or null when it can be saved
+ */
+function checkPeopleChange(group, membership, people) {
+    // Balances are recalculated by every client, so only names and who is in the group count as a change
+    const roster = list => stableStringify(list.map(({ id, name }) => ({ id: String(id), name })));
+    if (roster(people) !== roster(group.people) && !hasGroupPermission(membership, 'editSettings')) {
+        return { status: 403, error: 'Your role in this group does not allow changing its people' };
+    }
+    const linked = getGroupMembers(group).find(member => member.personId !== null &&
+        !people.some(person => String(person.id) === String(member.personId)));
+    if (linked) {
+        return { status: 400, error: `A person linked to ${linked.name || 'a member'}'s account can't be removed. Unlink them first.` };
     }
+    return null;
+}
+
+/**
+ * The expenses to store for a replacement list: recurring expenses the server added after
+ * `syncedAt` are kept even though the client's list doesn't have them yet
+ * @returns {Array|null} - As applyEntryChanges
+ */
+function mergeExpenseChanges(group, membership, expenses, syncedAt) {
+    const clientIds = new Set(expenses.map(expense => String(expense.id)));
+    const isUnseen = expense =>
+        expense.generatedAt && expense.generatedAt > syncedAt && !clientIds.has(String(expense.id));
+    const changed = applyEntryChanges(
+        group.expenses.filter(expense => !isUnseen(expense)),
+        expenses,
+        membership,
+        { currency: group.baseCurrency || DEFAULT_CURRENCY, rate: 1 }
+    );
+    return changed && [...changed, ...group.expenses.filter(isUnseen)];
+}
+
+/**
+ * Whether every expense and payment only refers to people in the list
+ */
+function refersToKnownPeople(people, expenses, payments) {
+    const personIds = new Set(people.map(person => String(person.id)));
+    const known = id => personIds.has(String(id));
+    return expenses.every(expense => known(expense.paidBy) && expense.splitBetween.every(known)) &&
+        payments.every(payment => known(payment.from) && known(payment.to));
+}
+
+/**
+ * Connect a Google identity to a user record; the caller saves the user
+ */
+function linkGoogleIdentity(user, googleProfile) {
+    user.googleId = googleProfile.googleId;
+    user.googleEmail = googleProfile.email;
+    user.googleLinkedAt = new Date().toISOString();
+    user.picture = user.picture || googleProfile.picture;
+    if ((user.email || '').toLowerCase() === googleProfile.email.toLowerCase() && !isEmailVerified(user)) {
+        // Google has confirmed the address
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date().toISOString();
+        delete user.emailVerification;
+    }
+}
+
+function findUserByGoogleId(googleId) {
+    return userStore.findOne(user => user.googleId === googleId);
+}
+
+/**
+ * Work out which account a Google sign-in belongs to
+ * Google identities are matched by Google id, never just by email: an account that only shares
+ * the email is connected once its owner also signs in to it with their password, so both are proven.
+ * A signed-in user who started /auth/google/link gets the Google identity added to their account.
+ * @returns {Promise<{user?: Object, reason?: string}>} The user to sign in, or why not:
+ * 'in-use', 'link-required' or 'disabled'
+ */
+async function resolveGoogleSignIn(req, googleProfile) {
+    const linkedUser = await findUserByGoogleId(googleProfile.googleId);
+    const link = req.session.googleLink;
+    if (link && req.user && link.userId === req.user.id && link.expiresAt > Date.now()) {
+        if (linkedUser && linkedUser.id !== req.user.id) {
+            return { reason: 'in-use' };
+        }
+        const user = await userStore.update(req.user.id, current => linkGoogleIdentity(current, googleProfile));
+        return user ? { user } : { reason: 'link-failed' };
+    }
+
+    if (linkedUser) {
+        if (linkedUser.disabled) {
+            // Don't record a login for disabled accounts
+            return { reason: 'disabled' };
+        }
+        const user = await userStore.update(linkedUser.id, current => {
+            current.name = googleProfile.name;
+            current.picture = googleProfile.picture;
+            current.googleEmail = googleProfile.email;
+            current.lastLogin = new Date().toISOString();
+        });
+        return { user };
+    }
+
+    if (await userStore.findByEmail(googleProfile.email)) {
+        // Remember the Google identity until the account's password is entered
+        req.session.pendingGoogleLink = { ...googleProfile, expiresAt: Date.now() + GOOGLE_LINK_LIFETIME };
+        return { reason: 'link-required' };
+    }
+
+    const user = await userStore.insert({
+        googleId: googleProfile.googleId,
+        googleEmail: googleProfile.email,
+        name: googleProfile.name,
+        email: googleProfile.email,
+        emailVerified: true,
+        picture: googleProfile.picture,
+        createdAt: new Date().toISOString(),
+        lastLogin: new Date().toISOString()
+    });
+    return { user };
 }
 
 /**
@@ -181,8 +850,9 @@ async function configureGoogleStrategy() {
         passport.use(new GoogleStrategy({
             clientID: credentials.clientID,
             clientSecret: credentials.clientSecret,
-            callbackURL: "http://localhost:3000/auth/google/callback"
-        }, async (accessToken, refreshToken, profile, done) => {
+            callbackURL: config.googleCallbackUrl,
+            passReqToCallback: true
+        }, async (req, accessToken, refreshToken, profile, done) => {
             try {
                 const googleProfile = {
                     googleId: profile.id,
@@ -191,8 +861,11 @@ async function configureGoogleStrategy() {
                     picture: profile.photos[0].value
                 };
                 
-                // Add or update user in our database
-                const user = await addOrUpdateGoogleUser(googleProfile);
+                // Find, link or create the user in our database
+                const { user, reason } = await resolveGoogleSignIn(req, googleProfile);
+                if (!user) {
+                    return done(null, false, { reason, email: googleProfile.email });
+                }
                 return done(null, user);
             } catch (error) {
                 return done(error, null);
@@ -213,9 +886,9 @@ passport.serializeUser((user, done) => {
 
 passport.deserializeUser(async (id, done) => {
     try {
-        const users = await loadUsers();
-        const user = users.find(u => u.id === id);
-        done(null, user);
+        const user = await userStore.findById(id);
+        // Disabled or deleted accounts lose their sessions on the next request
+        done(null, user && !user.disabled ? user : false);
     } catch (error) {
         done(error, null);
     }
@@ -229,8 +902,47 @@ function isAuthenticated(req, res, next) {
     res.redirect('/');
 }
 
-// Routes
-
+// Same as isAuthenticated, but answers API calls with JSON instead of a redirect
+function isApiAuthenticated(req, res, next) {
+    if (req.isAuthenticated()) {
+        return next();
+    }
+    res.status(401).json({ error: 'Not authenticated' });
+}
+
+// Admin-only API routes: 401 when signed out, 403 for everyone but admins
+function isAdmin(req, res, next) {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (getUserRole(req.user) !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+/**
+ * Load all groups and find one the current user is a member of
+ * Responds with 404 itself and resolves to null when the group is missing,
+ * or with 403 when the user's role lacks `permission`
+ */
+async function findUserGroup(req, res, permission = null) {
+    const groups = await loadGroups();
+    const group = groups.find(g => g.id === req.params.id && getMembership(g, req.user.id));
+    if (!group) {
+        res.status(404).json({ error: 'Group not found' });
+        return null;
+    }
+    const membership = getMembership(group, req.user.id);
+    if (permission && !hasGroupPermission(membership, permission)) {
+        res.status(403).json({ error: 'Your role in this group does not allow that' });
+        return null;
+    }
+    return { groups, group, membership };
+}
+
+// Routes
+
 /**
  * GET / - Serve the existing auth.html file
  */
@@ -238,6 +950,15 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'auth.html'));
 });
 
+// Files the pages load; nothing else in the project directory (users.json, sessions.json...) is served
+const PUBLIC_FILES = ['auth.html', 'auth.css', 'auth.js', 'index.html', 'index.css', 'index.js', 'csrf.js', 'ledger-math.js', 'dashboard.css', 'dashboard.js'];
+
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
+
 /**
  * GET /auth/google - Start Google OAuth process
  */
@@ -246,170 +967,57 @@ app.get('/auth/google', passport.authenticate('google', {
 }));
 
 /**
- * GET /auth/google/callback - Handle Google OAuth callback
+ * GET /auth/google/link - Connect a Google account to the signed-in user
  */
-app.get('/auth/google/callback', 
-    passport.authenticate('google', { 
-        failureRedirect: '/',
-        failureFlash: true
-    }),
-    (req, res) => {
-        // Successful authentication, redirect to dashboard
-        res.redirect('/dashboard');
+app.get('/auth/google/link', isAuthenticated, (req, res, next) => {
+    if (req.user.googleId) {
+        // Disconnect the current Google account first
+        return res.redirect('/dashboard?google=link-failed');
     }
-);
+    req.session.googleLink = { userId: req.user.id, expiresAt: Date.now() + GOOGLE_LINK_LIFETIME };
+    passport.authenticate('google', {
+        scope: ['profile', 'email'],
+        prompt: 'select_account'
+    })(req, res, next);
+});
+
+/**
+ * GET /auth/google/callback - Handle Google OAuth callback
+ * Signs in, or finishes connecting Google when the flow started at /auth/google/link
+ */
+app.get('/auth/google/callback', (req, res, next) => {
+    passport.authenticate('google', (error, user, info) => {
+        const linking = Boolean(req.session.googleLink);
+        delete req.session.googleLink;
+        if (error) {
+            return next(error);
+        }
+        const reason = info && info.reason;
+        if (linking) {
+            return res.redirect(`/dashboard?google=${user ? 'linked' : reason === 'in-use' ? 'in-use' : 'link-failed'}`);
+        }
+        if (!user) {
+            return res.redirect(reason === 'link-required'
+                ? `/?google=link&email=${encodeURIComponent(info.email)}`
+                : '/?google=failed');
+        }
+        req.login(user, { keepSessionInfo: true }, (loginError) => {
+            if (loginError) {
+                return next(loginError);
+            }
+            recordSessionDevice(req);
+            // Successful authentication, redirect to dashboard
+            res.redirect('/dashboard');
+        });
+    })(req, res, next);
+});
 
 /**
  * GET /dashboard - Protected dashboard page
+ * The page loads the signed-in user's details and spending stats from the API
  */
 app.get('/dashboard', isAuthenticated, (req, res) => {
-    const user = req.user;
-    res.send(`
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Dashboard - Split Bill Calculator</title>
-            <style>
-                body {
-                    font-family: Arial, sans-serif;
-                    max-width: 800px;
-                    margin: 50px auto;
-                    padding: 20px;
-                    background-color: #f5f5f5;
-                }
-                .container {
-                    background: white;
-                    padding: 40px;
-                    border-radius: 10px;
-                    box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                }
-                .header {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    margin-bottom: 30px;
-                    padding-bottom: 20px;
-                    border-bottom: 1px solid #eee;
-                }
-                .user-info {
-                    display: flex;
-                    align-items: center;
-                    gap: 20px;
-                }
-                .profile-pic {
-                    width: 80px;
-                    height: 80px;
-                    border-radius: 50%;
-                    object-fit: cover;
-                }
-                .user-details h2 {
-                    margin: 0 0 10px 0;
-                    color: #333;
-                }
-                .user-details p {
-                    margin: 5px 0;
-                    color: #666;
-                }
-                .logout-btn {
-                    background: #dc3545;
-                    color: white;
-                    padding: 10px 20px;
-                    border: none;
-                    border-radius: 5px;
-                    text-decoration: none;
-                    font-size: 14px;
-                    transition: background-color 0.3s;
-                }
-                .logout-btn:hover {
-                    background: #c82333;
-                }
-                .welcome-message {
-                    background: #e8f5e8;
-                    padding: 20px;
-                    border-radius: 5px;
-                    margin-bottom: 30px;
-                }
-                .stats {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                    gap: 20px;
-                    margin-top: 30px;
-                }
-                .stat-card {
-                    background: #f8f9fa;
-                    padding: 20px;
-                    border-radius: 5px;
-                    text-align: center;
-                }
-                .stat-number {
-                    font-size: 2em;
-                    font-weight: bold;
-                    color: #007bff;
-                }
-                .stat-label {
-                    color: #666;
-                    margin-top: 5px;
-                }
-                .calculator-link {
-                    background: #007bff;
-                    color: white;
-                    padding: 15px 30px;
-                    border: none;
-                    border-radius: 5px;
-                    text-decoration: none;
-                    font-size: 16px;
-                    display: inline-block;
-                    margin-top: 20px;
-                    transition: background-color 0.3s;
-                }
-                .calculator-link:hover {
-                    background: #0056b3;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <div class="user-info">
-                        <img src="${user.picture || 'https://via.placeholder.com/80x80?text=User'}" 
-                             alt="Profile Picture" 
-                             class="profile-pic">
-                        <div class="user-details">
-                            <h2>${user.name}</h2>
-                            <p>${user.email}</p>
-                            <p>Member since: ${new Date(user.createdAt).toLocaleDateString()}</p>
-                        </div>
-                    </div>
-                    <a href="/logout" class="logout-btn">Logout</a>
-                </div>
-                
-                <div class="welcome-message">
-                    <h3>Welcome back, ${user.name}!</h3>
-                    <p>You're successfully signed in. Your account is ready to use.</p>
-                </div>
-                
-                <div class="stats">
-                    <div class="stat-card">
-                        <div class="stat-number">${user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'N/A'}</div>
-                        <div class="stat-label">Last Login</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-number">${user.id}</div>
-                        <div class="stat-label">User ID</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-number">${user.googleId ? 'Yes' : 'No'}</div>
-                        <div class="stat-label">Google Account</div>
-                    </div>
-                </div>
-                
-                <a href="/calculator" class="calculator-link">Go to Split Bill Calculator</a>
-            </div>
-        </body>
-        </html>
-    `);
+    res.sendFile(path.join(__dirname, 'dashboard.html'));
 });
 
 /**
@@ -419,6 +1027,15 @@ app.get('/calculator', isAuthenticated, (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+/**
+ * GET /invite/:token - Open a group invite link
+ * The token is kept in the session through sign-in; the calculator then offers to accept it
+ */
+app.get('/invite/:token', (req, res) => {
+    req.session.inviteToken = req.params.token;
+    res.redirect('/calculator');
+});
+
 /**
  * GET /logout - Destroy session and redirect to home
  */
@@ -433,6 +1050,81 @@ app.get('/logout', (req, res) => {
 
 // Traditional Authentication API Routes (keeping your existing system)
 
+/**
+ * Sign out and destroy the current session, then answer with `body`
+ */
+function endCurrentSession(req, res, body) {
+    req.logout((err) => {
+        if (err) {
+            console.error('Signout error:', err);
+            return res.status(500).json({ error: 'Failed to sign out' });
+        }
+        req.session.destroy((destroyErr) => {
+            if (destroyErr) {
+                console.error('Signout session error:', destroyErr);
+            }
+            res.clearCookie('connect.sid');
+            res.json(body);
+        });
+    });
+}
+
+/**
+ * POST /api/auth/signout - End the current session
+ */
+app.post('/api/auth/signout', (req, res) => {
+    endCurrentSession(req, res, { message: 'Signed out' });
+});
+
+/**
+ * GET /api/auth/sessions - List the devices the current user is signed in on
+ */
+app.get('/api/auth/sessions', isApiAuthenticated, async (req, res) => {
+    try {
+        const sessions = (await getUserSessions(req.user.id))
+            .map(([sessionId, data]) => toClientSession(sessionId, data, req.sessionID))
+            .sort((a, b) => (b.current - a.current) || String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+        res.json(sessions);
+    } catch (error) {
+        console.error('Load sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions - Sign out every other device
+ */
+app.delete('/api/auth/sessions', isApiAuthenticated, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.id, req.sessionID);
+        res.json({ message: 'Other sessions signed out', revoked });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to sign out other sessions' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id - Sign out one other device
+ */
+app.delete('/api/auth/sessions/:id', isApiAuthenticated, async (req, res) => {
+    try {
+        const match = (await getUserSessions(req.user.id))
+            .find(([sessionId]) => hashToken(sessionId) === req.params.id);
+        if (!match) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (match[0] === req.sessionID) {
+            return res.status(400).json({ error: 'Use sign out to end the session you are using' });
+        }
+        await destroySession(match[0]);
+        res.json({ message: 'Session signed out' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to sign out session' });
+    }
+});
+
 /**
  * POST /api/auth/signup - User registration
  */
@@ -450,19 +1142,15 @@ app.post('/api/auth/signup', async (req, res) => {
             return res.status(400).json({ error: 'All fields are required' });
         }
         
-        if (password.length < 6) {
+        if (password.length < MIN_PASSWORD_LENGTH) {
             console.log('Validation failed - password too short');
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
         }
         
-        console.log('Validation passed, loading users...');
-        
-        // Load existing users
-        const users = await loadUsers();
-        console.log('Loaded users:', users.length);
+        console.log('Validation passed, checking email...');
         
         // Check for duplicate email
-        if (users.some(u => u.email.toLowerCase() === email.toLowerCase())) {
+        if (await userStore.findByEmail(email)) {
             console.log('Duplicate email found');
             return res.status(400).json({ error: 'Email already registered' });
         }
@@ -474,37 +1162,45 @@ app.post('/api/auth/signup', async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, saltRounds);
         console.log('Password hashed successfully');
 
-        // Create new user
+        // Create new user; the store gives it an id
         const newUser = {
-            id: Date.now().toString(),
             name,
             email,
             password: hashedPassword,
             createdAt: new Date().toISOString(),
             lastLogin: null
         };
+        const verificationToken = startEmailVerification(newUser);
         
         console.log('New user created, saving...');
         
         // Add user and save
-        users.push(newUser);
-        const saveResult = await saveUsers(users);
-        
-        if (!saveResult) {
-            console.error('Failed to save user to file');
+        let savedUser;
+        try {
+            savedUser = await userStore.insert(newUser);
+        } catch (error) {
+            // Another sign-up for the same email got in first
+            if (error instanceof DuplicateEmailError) {
+                return res.status(400).json({ error: 'Email already registered' });
+            }
+            console.error('Failed to save user:', error);
             return res.status(500).json({ error: 'Failed to save user data' });
         }
         
         console.log('User saved successfully');
+
+        // The account exists either way; a failed email can be sent again from the calculator
+        await sendVerificationEmail(savedUser, verificationToken)
+            .catch(error => console.error('Verification email error:', error));
         
         // Return user without password
-        const { password: _, ...safeUser } = newUser;
+        const safeUser = toSafeUser(savedUser);
         console.log('Sending response:', { message: 'User created successfully', user: safeUser });
         
         // Ensure we're sending a proper JSON response
         res.setHeader('Content-Type', 'application/json');
         res.status(201).json({ 
-            message: 'User created successfully',
+            message: 'User created successfully. Check your email for a link to confirm your address.',
             user: safeUser
         });
         
@@ -532,44 +1228,56 @@ app.post('/api/auth/signin', async (req, res) => {
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password are required' });
         }
+
+        // Throttle before checking anything, so a locked account can't be probed
+        const attemptKeys = loginThrottle.keysFor(req.ip, email);
+        const wait = loginThrottle.check(attemptKeys);
+        if (wait.retryAfter > 0) {
+            return sendTooManyAttempts(res, wait);
+        }
+        const rejectCredentials = async () => {
+            const failureWait = await loginThrottle.recordFailure(attemptKeys);
+            if (failureWait.retryAfter > 0) {
+                return sendTooManyAttempts(res, failureWait, 'Invalid credentials. ');
+            }
+            res.status(401).json({ error: 'Invalid credentials' });
+        };
         
-        // Load users and find matching user
-        const users = await loadUsers();
-        const user = users.find(u => u.email && u.email.toLowerCase() === email.toLowerCase());
+        // Find matching user
+        const user = await userStore.findByEmail(email);
         
+        // Unknown emails count as failures too, so they look the same as wrong passwords
         if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return rejectCredentials();
         }
 
         // Check if user has password (Google OAuth users might not)
         if (!user.password) {
-            return res.status(401).json({ error: 'This account was created with Google. Please use Google Sign-In.' });
+            return res.status(401).json({ error: 'This account signs in with Google. Use Google Sign-In, then add a password from your dashboard if you want one.' });
         }
 
         // Compare password
         const passwordMatches = await bcrypt.compare(password, user.password);
 
         if (!passwordMatches) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return rejectCredentials();
         }
-        
-        // Update last login
-        user.lastLogin = new Date().toISOString();
-        await saveUsers(users);
-        
-        // Create session
-        req.login(user, (err) => {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to create session' });
-            }
-            
-            // Return user without password
-            const { password: _, ...safeUser } = user;
-            res.json({ 
-                message: 'Login successful',
-                user: safeUser
+
+        if (user.disabled) {
+            return res.status(403).json({ error: 'This account has been disabled. Contact an administrator.' });
+        }
+
+        if (hasTwoFactor(user)) {
+            // The password is right, but nobody is signed in until the code is entered too.
+            // Failure counters are only cleared then, so re-entering the password can't reset them
+            req.session.pendingTwoFactor = { userId: user.id, expiresAt: Date.now() + TWO_FACTOR_PENDING_LIFETIME };
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true
             });
-        });
+        }
+        await loginThrottle.recordSuccess(attemptKeys);
+        await completeSignIn(req, res, user);
         
     } catch (error) {
         console.error('Signin error:', error);
@@ -578,66 +1286,1792 @@ app.post('/api/auth/signin', async (req, res) => {
 });
 
 /**
- * GET /api/auth/session - Get current session info
+ * Record the login and create the session once every sign-in step has passed
+ * @param {Object} [extra] - Added to the response
  */
-app.get('/api/auth/session', (req, res) => {
-    if (req.isAuthenticated()) {
+async function completeSignIn(req, res, user, extra = {}) {
+    // A Google sign-in that stopped at this account's email is connected now that the password
+    // has proven the account is theirs too
+    const pendingLink = req.session.pendingGoogleLink;
+    delete req.session.pendingGoogleLink;
+    const linkGoogle = Boolean(pendingLink && pendingLink.expiresAt > Date.now() && !user.googleId &&
+        pendingLink.email.toLowerCase() === (user.email || '').toLowerCase() &&
+        !await findUserByGoogleId(pendingLink.googleId));
+
+    // Update last login
+    const loginAt = new Date().toISOString();
+    const updatedUser = await userStore.update(user.id, current => {
+        current.lastLogin = loginAt;
+        if (linkGoogle && !current.googleId) {
+            linkGoogleIdentity(current, pendingLink);
+        }
+    });
+    user = updatedUser || user;
+    delete req.session.pendingTwoFactor;
+    
+    // Create session, keeping an invite link opened before signing in
+    req.login(user, { keepSessionInfo: true }, (err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to create session' });
+        }
+        
+        recordSessionDevice(req);
+        
+        // Return user without password
+        const safeUser = toSafeUser(user);
+        res.json({ 
+            message: 'Login successful',
+            user: safeUser,
+            ...(linkGoogle && user.googleId === pendingLink.googleId ? { googleLinked: true } : {}),
+            ...extra
+        });
+    });
+}
+
+/**
+ * POST /api/auth/2fa/verify - Second sign-in step: check the authenticator or recovery code
+ */
+app.post('/api/auth/2fa/verify', async (req, res) => {
+    try {
+        const pending = req.session.pendingTwoFactor;
+        const user = pending && pending.expiresAt > Date.now() && await userStore.findById(pending.userId);
+        if (!user || user.disabled || !hasTwoFactor(user)) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({
+                error: 'Your sign-in has expired. Please enter your password again.',
+                code: 'TWO_FACTOR_EXPIRED'
+            });
+        }
+
+        // Codes are short, so they are throttled along with passwords
+        const attemptKeys = loginThrottle.keysFor(req.ip, user.email);
+        const wait = loginThrottle.check(attemptKeys);
+        if (wait.retryAfter > 0) {
+            return sendTooManyAttempts(res, wait);
+        }
+        // Checked against the stored record inside the update, so one code can't be used twice at once
+        let method = null;
+        const updatedUser = await userStore.update(user.id, current => {
+            method = hasTwoFactor(current) ? consumeSecondFactor(current, req.body.code) : null;
+            return method !== null;
+        });
+        if (!method) {
+            const failureWait = await loginThrottle.recordFailure(attemptKeys);
+            if (failureWait.retryAfter > 0) {
+                return sendTooManyAttempts(res, failureWait, 'Invalid code. ');
+            }
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+        await loginThrottle.recordSuccess(attemptKeys);
+        await completeSignIn(req, res, updatedUser,
+            method === 'recovery' ? { recoveryCodesLeft: updatedUser.twoFactor.recoveryCodes.length } : {});
+    } catch (error) {
+        console.error('Two-factor verify error:', error);
+        res.status(500).json({ error: 'Failed to verify code' });
+    }
+});
+
+/**
+ * Load the signed-in user's latest record, for routes that change the account
+ * Responds with 404 itself and resolves to null when the account is gone
+ */
+async function findCurrentUser(req, res) {
+    const user = await userStore.findById(req.user.id);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+    }
+    return user;
+}
+
+/**
+ * GET /api/auth/2fa - Two-factor status for the signed-in user
+ */
+app.get('/api/auth/2fa', isApiAuthenticated, (req, res) => {
+    const enabled = hasTwoFactor(req.user);
+    res.json({
+        enabled,
+        available: Boolean(req.user.password),
+        enabledAt: enabled ? req.user.twoFactor.enabledAt : null,
+        recoveryCodesLeft: enabled ? req.user.twoFactor.recoveryCodes.length : 0
+    });
+});
+
+/**
+ * POST /api/auth/2fa/setup - Start enrolling: a new secret, as text, an otpauth URI and a QR code
+ * Nothing changes at sign-in until the first code is confirmed with /api/auth/2fa/enable
+ */
+app.post('/api/auth/2fa/setup', isApiAuthenticated, async (req, res) => {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (!user.password) {
+            return res.status(400).json({ error: "Two-factor authentication protects password sign-in. Google accounts use Google's own 2-Step Verification." });
+        }
+        if (hasTwoFactor(user)) {
+            return res.status(409).json({ error: 'Two-factor authentication is already on' });
+        }
+
+        const secret = totp.generateSecret();
+        await userStore.update(user.id, current => {
+            current.twoFactorSetup = { secret, createdAt: new Date().toISOString() };
+        });
+        const otpauthUri = totp.buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER });
         res.json({
-            authenticated: true,
-            user: req.user
+            secret,
+            otpauthUri,
+            qrCode: await QRCode.toDataURL(otpauthUri)
         });
-    } else {
-        res.status(401).json({
-            authenticated: false,
-            message: 'Not authenticated'
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable - Finish enrolling with a code from the app
+ * Responds with the recovery codes, which are only ever shown this once
+ */
+app.post('/api/auth/2fa/enable', isApiAuthenticated, async (req, res) => {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (hasTwoFactor(user)) {
+            return res.status(409).json({ error: 'Two-factor authentication is already on' });
+        }
+        if (!user.twoFactorSetup) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+        const step = totp.verifyCode(user.twoFactorSetup.secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: "That code doesn't match. Check your authenticator app and try again." });
+        }
+
+        const recovery = generateRecoveryCodes();
+        const updatedUser = await userStore.update(user.id, current => {
+            // Setup may have been restarted in another tab since the code was checked
+            if (hasTwoFactor(current) || !current.twoFactorSetup || current.twoFactorSetup.secret !== user.twoFactorSetup.secret) {
+                return false;
+            }
+            current.twoFactor = {
+                enabled: true,
+                secret: current.twoFactorSetup.secret,
+                enabledAt: new Date().toISOString(),
+                lastUsedStep: step,
+                recoveryCodes: recovery.hashes
+            };
+            delete current.twoFactorSetup;
         });
+        if (!updatedUser || !hasTwoFactor(updatedUser)) {
+            return res.status(409).json({ error: 'Two-factor setup changed. Please start again.' });
+        }
+        res.json({ message: 'Two-factor authentication is on', recoveryCodes: recovery.codes });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
     }
 });
 
 /**
- * GET /api/users - Get all users (for admin purposes)
+ * POST /api/auth/2fa/recovery-codes - Replace the recovery codes, given a code from the app
  */
-app.get('/api/users', async (req, res) => {
+app.post('/api/auth/2fa/recovery-codes', isApiAuthenticated, async (req, res) => {
     try {
-        const users = await loadUsers();
-        // Remove passwords from response
-        const safeUsers = users.map(user => {
-            const { password, ...safeUser } = user;
-            return safeUser;
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (!hasTwoFactor(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is off' });
+        }
+        // The code is checked against the stored record so it can't be replayed
+        const recovery = generateRecoveryCodes();
+        let accepted = false;
+        await userStore.update(user.id, current => {
+            const step = hasTwoFactor(current)
+                ? totp.verifyCode(current.twoFactor.secret, req.body.code, current.twoFactor.lastUsedStep)
+                : null;
+            if (step === null) return false;
+            current.twoFactor.lastUsedStep = step;
+            current.twoFactor.recoveryCodes = recovery.hashes;
+            accepted = true;
         });
-        res.json(safeUsers);
+        if (!accepted) {
+            return res.status(400).json({ error: 'Enter the current code from your authenticator app' });
+        }
+        res.json({ message: 'New recovery codes created. The old ones no longer work.', recoveryCodes: recovery.codes });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to load users' });
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to create recovery codes' });
     }
 });
 
-// Global error handler
-app.use((error, req, res, next) => {
-    console.error('Global error handler caught:', error);
-    console.error('Error stack:', error.stack);
-    
-    // Don't send error details in production
-    res.status(500).json({ 
-        error: 'Internal server error',
-        message: 'Something went wrong on the server'
+/**
+ * POST /api/auth/2fa/disable - Turn two-factor off; needs the password and a code
+ */
+app.post('/api/auth/2fa/disable', isApiAuthenticated, async (req, res) => {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (!hasTwoFactor(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is already off' });
+        }
+
+        // Someone using a stolen session could otherwise guess their way through here
+        const attemptKeys = loginThrottle.keysFor(req.ip, user.email);
+        const wait = loginThrottle.check(attemptKeys);
+        if (wait.retryAfter > 0) {
+            return sendTooManyAttempts(res, wait);
+        }
+        const passwordMatches = typeof req.body.password === 'string' && await bcrypt.compare(req.body.password, user.password);
+        let disabled = false;
+        if (passwordMatches) {
+            await userStore.update(user.id, current => {
+                if (!hasTwoFactor(current) || !consumeSecondFactor(current, req.body.code)) return false;
+                delete current.twoFactor;
+                disabled = true;
+            });
+        }
+        if (!disabled) {
+            await loginThrottle.recordFailure(attemptKeys);
+            return res.status(400).json({ error: 'Your password or code is incorrect' });
+        }
+        res.json({ message: 'Two-factor authentication is off' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+    }
+});
+
+/**
+ * Check the signed-in user's password before a sensitive change, throttled like sign-in
+ * Responds itself and resolves to false when it is missing or wrong
+ */
+async function confirmPassword(req, res, user, password) {
+    const attemptKeys = loginThrottle.keysFor(req.ip, user.email);
+    const wait = loginThrottle.check(attemptKeys);
+    if (wait.retryAfter > 0) {
+        sendTooManyAttempts(res, wait);
+        return false;
+    }
+    if (typeof password !== 'string' || !await bcrypt.compare(password, user.password)) {
+        await loginThrottle.recordFailure(attemptKeys);
+        res.status(400).json({ error: 'Your password is incorrect' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * The ways a user can sign in, for the account page
+ */
+function getIdentities(user) {
+    return [
+        { provider: 'password', linked: Boolean(user.password) },
+        {
+            provider: 'google',
+            linked: Boolean(user.googleId),
+            email: user.googleId ? user.googleEmail || user.email : null,
+            linkedAt: user.googleId ? user.googleLinkedAt || user.createdAt : null
+        }
+    ];
+}
+
+function sendIdentities(res, user, extra = {}) {
+    const identities = getIdentities(user);
+    res.json({
+        identities,
+        // An account must always keep one way to sign in
+        canUnlink: identities.filter(identity => identity.linked).length > 1,
+        ...extra
     });
+}
+
+/**
+ * GET /api/auth/identities - The sign-in methods connected to the signed-in account
+ */
+app.get('/api/auth/identities', isApiAuthenticated, (req, res) => {
+    sendIdentities(res, req.user);
 });
 
-// 404 handler for undefined routes
-app.use('*', (req, res) => {
-    res.status(404).json({ error: 'Route not found' });
+/**
+ * POST /api/auth/identities/password - Add a password to an account that signs in with Google
+ */
+app.post('/api/auth/identities/password', isApiAuthenticated, async (req, res) => {
+    try {
+        const { password } = req.body;
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (user.password) {
+            return res.status(409).json({ error: 'Your account already has a password' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const updatedUser = await userStore.update(user.id, current => {
+            if (current.password) return false;
+            current.password = hashedPassword;
+            current.passwordChangedAt = new Date().toISOString();
+        });
+        if (!updatedUser || updatedUser.password !== hashedPassword) {
+            return res.status(409).json({ error: 'Your account already has a password' });
+        }
+        sendIdentities(res, updatedUser, { message: `You can now also sign in with ${updatedUser.email} and this password.` });
+    } catch (error) {
+        console.error('Add password error:', error);
+        res.status(500).json({ error: 'Failed to add password' });
+    }
 });
 
-// Serve static files after all routes
-app.use(express.static('.'));
+/**
+ * DELETE /api/auth/identities/:provider - Disconnect Google, or remove the password
+ * Refused when it is the account's only way to sign in. Removing the password needs the password.
+ */
+app.delete('/api/auth/identities/:provider', isApiAuthenticated, async (req, res) => {
+    try {
+        const { provider } = req.params;
+        if (!['password', 'google'].includes(provider)) {
+            return res.status(404).json({ error: 'Unknown sign-in method' });
+        }
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        const otherMethod = provider === 'google' ? user.password : user.googleId;
+        if (!(provider === 'google' ? user.googleId : user.password)) {
+            return res.status(400).json({ error: 'That sign-in method is not connected' });
+        }
+        if (!otherMethod) {
+            return res.status(400).json({ error: "You can't remove your only way to sign in" });
+        }
+
+        if (provider === 'password') {
+            if (hasTwoFactor(user)) {
+                return res.status(400).json({ error: 'Turn off two-factor authentication before removing your password' });
+            }
+            // A stolen session shouldn't be enough to take the password away
+            if (!await confirmPassword(req, res, user, (req.body || {}).password)) return;
+        }
+
+        let removed = false;
+        const updatedUser = await userStore.update(user.id, current => {
+            // Checked again against the latest record, in case the other method went meanwhile
+            if (!(provider === 'google' ? current.password : current.googleId) || hasTwoFactor(current)) return false;
+            if (provider === 'google') {
+                delete current.googleId;
+                delete current.googleEmail;
+                delete current.googleLinkedAt;
+            } else {
+                delete current.password;
+                delete current.passwordReset;
+            }
+            removed = true;
+        });
+        if (!removed) {
+            return res.status(400).json({ error: "You can't remove your only way to sign in" });
+        }
+        sendIdentities(res, updatedUser, {
+            message: provider === 'google' ? 'Google is disconnected from your account' : 'Your password is removed. Sign in with Google from now on.'
+        });
+    } catch (error) {
+        console.error('Remove sign-in method error:', error);
+        res.status(500).json({ error: 'Failed to remove sign-in method' });
+    }
+});
 
-// Start server
-app.listen(PORT, async () => {
-    console.log(`Server running on port ${PORT}`);
-    await initializeUsersFile();
-    await configureGoogleStrategy();
-    console.log('Authentication Server ready!');
-    console.log(`Visit http://localhost:${PORT} to access the authentication system`);
+/**
+ * POST /api/auth/forgot - Email a password reset link
+ * Always answers the same way, so the form can't be used to find out which emails have accounts
+ */
+app.post('/api/auth/forgot', async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+    }
+    const message = 'If an account uses that email, we have sent it a link to reset the password.';
+
+    try {
+        // Every request counts, for known and unknown emails alike, so the limit can't reveal
+        // which addresses have accounts. The counters are kept apart from sign-in failures,
+        // so asking for reset emails can't lock anyone out of signing in
+        const attemptKeys = loginThrottle.keysFor(req.ip, email, 'reset');
+        const wait = loginThrottle.check(attemptKeys);
+        if (wait.retryAfter > 0) {
+            return sendTooManyResetRequests(res, wait);
+        }
+        await loginThrottle.recordFailure(attemptKeys);
+
+        const user = await userStore.findByEmail(email);
+        if (!user) {
+            return res.json({ message });
+        }
+
+        // Links use the configured address, never the request's Host header, which a client can forge
+        const origin = config.baseUrl;
+        if (!user.password) {
+            // Google accounts have no password to reset
+            await mailer.sendMail({
+                to: user.email,
+                subject: 'Signing in to Split Bill Calculator',
+                text: `Hi ${user.name || ''},\n\nSomeone asked to reset the password for this account, but it signs in with Google and has no password. Use "Sign in with Google" at ${origin}/ instead.\n\nIf this wasn't you, you can ignore this email.`
+            });
+            return res.json({ message });
+        }
+
+        // Only a hash is stored; a newer request replaces any earlier link
+        const token = crypto.randomBytes(32).toString('hex');
+        await userStore.update(user.id, current => {
+            current.passwordReset = {
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_LIFETIME).toISOString()
+            };
+        });
+
+        await mailer.sendMail({
+            to: user.email,
+            subject: 'Reset your Split Bill Calculator password',
+            text: `Hi ${user.name || ''},\n\nOpen this link to choose a new password. It works once and expires in an hour:\n\n${origin}/?reset=${token}\n\nIf you didn't ask to reset your password, you can ignore this email.`
+        });
+        res.json({ message });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to start password reset' });
+    }
+});
+
+/**
+ * POST /api/auth/reset - Set a new password using the token from a reset link
+ */
+app.post('/api/auth/reset', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (typeof token !== 'string' || !token) {
+            return res.status(400).json({ error: 'Reset token is required' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const tokenHash = hashToken(token);
+        const now = new Date().toISOString();
+        const isValidReset = u => Boolean(u.passwordReset && u.passwordReset.tokenHash === tokenHash &&
+            u.passwordReset.expiresAt > now);
+        const user = await userStore.findOne(isValidReset);
+        const invalidLink = () => res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+        if (!user) {
+            return invalidLink();
+        }
+
+        // The token is single-use, so it is checked again as it is used up
+        const hashedPassword = await bcrypt.hash(password, 10);
+        let used = false;
+        await userStore.update(user.id, current => {
+            if (!isValidReset(current)) return false;
+            current.password = hashedPassword;
+            current.passwordChangedAt = now;
+            delete current.passwordReset;
+            used = true;
+        });
+        if (!used) {
+            return invalidLink();
+        }
+        // Whoever knew the old password may still be signed in somewhere
+        await revokeUserSessions(user.id);
+
+        await sendPasswordChangedEmail(user);
+        res.json({ message: 'Your password has been reset. You can sign in with it now.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+/**
+ * GET /api/auth/verify - Confirm an email address from the emailed link
+ * Redirects to the sign-in page, which reports the result
+ */
+app.get('/api/auth/verify', async (req, res) => {
+    try {
+        const token = typeof req.query.token === 'string' ? req.query.token : '';
+        const tokenHash = hashToken(token);
+        const now = new Date().toISOString();
+        const isValidLink = u => Boolean(u.emailVerification && u.emailVerification.tokenHash === tokenHash &&
+            u.emailVerification.expiresAt > now);
+        const user = token && await userStore.findOne(isValidLink);
+        if (!user) {
+            return res.redirect('/?verified=0');
+        }
+
+        const updatedUser = await userStore.update(user.id, current => {
+            if (!isValidLink(current)) return false;
+            current.emailVerified = true;
+            current.emailVerifiedAt = now;
+            delete current.emailVerification;
+        });
+        res.redirect(updatedUser && isEmailVerified(updatedUser) ? '/?verified=1' : '/?verified=0');
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.redirect('/?verified=0');
+    }
+});
+
+/**
+ * POST /api/auth/verify/resend - Email the signed-in user a new verification link
+ */
+app.post('/api/auth/verify/resend', isApiAuthenticated, async (req, res) => {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (isEmailVerified(user)) {
+            return res.status(400).json({ error: 'Your email address is already verified' });
+        }
+
+        let token = null;
+        await userStore.update(user.id, current => {
+            token = startEmailVerification(current);
+        });
+        await sendVerificationEmail(user, token);
+        res.json({ message: `We sent a new verification link to ${user.email}.` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+/**
+ * GET /api/auth/session - Get current session info
+ */
+app.get('/api/auth/session', (req, res) => {
+    if (req.isAuthenticated()) {
+        res.json({
+            authenticated: true,
+            user: toSafeUser(req.user)
+        });
+    } else {
+        res.status(401).json({
+            authenticated: false,
+            message: 'Not authenticated'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/csrf-token - The token to send in X-CSRF-Token with state-changing requests
+ * Signed-out visitors get one too, since signing in and signing up need it
+ */
+app.get('/api/auth/csrf-token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ csrfToken: getCsrfToken(req) });
+});
+
+// Account API Routes
+
+/**
+ * Copy a user's current name and email into their member entries in shared groups
+ */
+async function updateMemberProfiles(user) {
+    const saved = await withGroupsLock(async () => {
+        const groups = await loadGroups();
+        let changed = false;
+        groups.forEach(group => (group.members || []).forEach(member => {
+            if (member.userId === user.id && (member.name !== user.name || member.email !== user.email)) {
+                member.name = user.name;
+                member.email = user.email;
+                changed = true;
+            }
+        }));
+        return !changed || saveGroups(groups);
+    });
+    if (!saved) {
+        console.error(`Failed to update group memberships for user ${user.id}`);
+    }
+}
+
+/**
+ * GET /api/me - The signed-in user's profile and sign-in methods
+ */
+app.get('/api/me', isApiAuthenticated, (req, res) => {
+    res.json({ ...toSafeUser(req.user), identities: getIdentities(req.user) });
+});
+
+/**
+ * PATCH /api/me - Update the profile
+ * Body: { name }
+ */
+app.patch('/api/me', isApiAuthenticated, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return res.status(400).json({ error: `Name must be between 1 and ${MAX_NAME_LENGTH} characters` });
+        }
+        const updatedUser = await userStore.update(req.user.id, current => {
+            current.name = name;
+        });
+        if (!updatedUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await updateMemberProfiles(updatedUser);
+        res.json(toSafeUser(updatedUser));
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+/**
+ * POST /api/me/password - Change the password; other devices are signed out
+ * Body: { currentPassword, newPassword }
+ */
+app.post('/api/me/password', isApiAuthenticated, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (!user.password) {
+            return res.status(400).json({ error: 'Your account has no password yet. Add one under sign-in methods.' });
+        }
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        if (!await confirmPassword(req, res, user, currentPassword)) return;
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await userStore.update(user.id, current => {
+            current.password = hashedPassword;
+            current.passwordChangedAt = new Date().toISOString();
+            delete current.passwordReset;
+        });
+        // Whoever knew the old password may still be signed in somewhere
+        const sessionsEnded = await revokeUserSessions(user.id, req.sessionID);
+        await sendPasswordChangedEmail(user);
+        res.json({
+            message: sessionsEnded > 0
+                ? 'Your password has been changed and your other devices have been signed out.'
+                : 'Your password has been changed.',
+            sessionsEnded
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+/**
+ * POST /api/me/email - Start changing the email address
+ * The new address is emailed a confirmation link and only replaces the old one once it is opened.
+ * Body: { email, password } (the password is only needed for accounts that have one)
+ */
+app.post('/api/me/email', isApiAuthenticated, async (req, res) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'Please enter a valid email address' });
+        }
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (email.toLowerCase() === (user.email || '').toLowerCase()) {
+            return res.status(400).json({ error: 'That is already your email address' });
+        }
+        if (await userStore.findByEmail(email)) {
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+        if (user.password && !await confirmPassword(req, res, user, req.body.password)) return;
+
+        // Only a hash is stored; a newer request replaces any earlier link
+        const token = crypto.randomBytes(32).toString('hex');
+        const updatedUser = await userStore.update(user.id, current => {
+            current.emailChange = {
+                email,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_LIFETIME).toISOString()
+            };
+        });
+
+        await mailer.sendMail({
+            to: email,
+            subject: 'Confirm your new Split Bill Calculator email address',
+            text: `Hi ${user.name || ''},\n\nOpen this link to use this address for your account. It expires in 24 hours:\n\n${config.baseUrl}/api/me/email/confirm?token=${token}\n\nIf you didn't ask for this, you can ignore this email.`
+        });
+        await mailer.sendMail({
+            to: user.email,
+            subject: 'Your Split Bill Calculator email address is being changed',
+            text: `Hi ${user.name || ''},\n\nSomeone signed in to your account asked to change its email address to ${email}. It changes once the link sent there is opened.\n\nIf this wasn't you, change your password straight away.`
+        }).catch(error => console.error('Email change notice error:', error));
+        res.json({
+            message: `We sent a link to ${email}. Your email address changes once you open it.`,
+            user: toSafeUser(updatedUser)
+        });
+    } catch (error) {
+        console.error('Change email error:', error);
+        res.status(500).json({ error: 'Failed to change email address' });
+    }
+});
+
+/**
+ * GET /api/me/email/confirm - Finish an email change from the emailed link
+ * Redirects to the sign-in page, which reports the result
+ */
+app.get('/api/me/email/confirm', async (req, res) => {
+    try {
+        const token = typeof req.query.token === 'string' ? req.query.token : '';
+        const tokenHash = hashToken(token);
+        const now = new Date().toISOString();
+        const isValidLink = u => Boolean(u.emailChange && u.emailChange.tokenHash === tokenHash &&
+            u.emailChange.expiresAt > now);
+        const user = token && await userStore.findOne(isValidLink);
+        if (!user) {
+            return res.redirect('/?verified=0');
+        }
+
+        let changed = false;
+        const updatedUser = await userStore.update(user.id, current => {
+            if (!isValidLink(current)) return false;
+            current.email = current.emailChange.email;
+            current.emailVerified = true;
+            current.emailVerifiedAt = now;
+            delete current.emailChange;
+            delete current.emailVerification;
+            // Reset links went to the old address
+            delete current.passwordReset;
+            changed = true;
+        });
+        if (!changed) {
+            return res.redirect('/?verified=0');
+        }
+        await updateMemberProfiles(updatedUser);
+        res.redirect('/?verified=1');
+    } catch (error) {
+        // Someone else registered the address since the link was sent
+        if (!(error instanceof DuplicateEmailError)) {
+            console.error('Confirm email change error:', error);
+        }
+        res.redirect('/?verified=0');
+    }
+});
+
+/**
+ * GET /api/me/export - Download everything stored about the signed-in user as JSON:
+ * their profile, sign-in methods, devices, and the groups they belong to with all expenses
+ */
+app.get('/api/me/export', isApiAuthenticated, async (req, res) => {
+    try {
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        const groups = (await loadGroups()).filter(group => getMembership(group, user.id));
+        const sessions = await getUserSessions(user.id);
+        const archive = {
+            exportedAt: new Date().toISOString(),
+            account: { ...toSafeUser(user), identities: getIdentities(user) },
+            sessions: sessions.map(([sessionId, data]) => toClientSession(sessionId, data, req.sessionID)),
+            groups: groups.map(group => toClientGroup(group, user.id))
+        };
+        res.set('Content-Disposition', `attachment; filename="split-bill-data-${archive.exportedAt.slice(0, 10)}.json"`);
+        res.type('application/json').send(JSON.stringify(archive, null, 2));
+    } catch (error) {
+        console.error('Export data error:', error);
+        res.status(500).json({ error: 'Failed to export your data' });
+    }
+});
+
+/**
+ * GET /api/me/stats - Spending across all of your groups, for the dashboard
+ * Totals are per base currency; groups where you aren't linked to a person are left out of them
+ */
+app.get('/api/me/stats', isApiAuthenticated, async (req, res) => {
+    try {
+        const groups = (await loadGroups()).filter(group => getMembership(group, req.user.id));
+        res.json(buildDashboardStats(groups, group => getMembership(group, req.user.id).personId));
+    } catch (error) {
+        console.error('Dashboard stats error:', error);
+        res.status(500).json({ error: 'Failed to load your stats' });
+    }
+});
+
+/**
+ * DELETE /api/me - Permanently delete the account, signing it out everywhere
+ * Groups only they belong to are deleted; shared groups they own pass to another member.
+ * Body: { password } for accounts with a password, otherwise { confirm: <their email> }
+ */
+app.delete('/api/me', isApiAuthenticated, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const user = await findCurrentUser(req, res);
+        if (!user) return;
+        if (user.password) {
+            if (!await confirmPassword(req, res, user, body.password)) return;
+        } else if (typeof body.confirm !== 'string' || body.confirm.trim().toLowerCase() !== user.email.toLowerCase()) {
+            return res.status(400).json({ error: 'Type your email address to confirm' });
+        }
+        if (await isLastAdmin(user)) {
+            return res.status(400).json({ error: "You're the only admin. Make someone else an admin before deleting your account." });
+        }
+
+        const groupsSaved = await withGroupsLock(async () =>
+            saveGroups(removeUserFromGroups(await loadGroups(), user.id)));
+        if (!groupsSaved) {
+            return res.status(500).json({ error: 'Failed to delete account' });
+        }
+        await userStore.remove(user.id);
+        await revokeUserSessions(user.id, req.sessionID);
+        await mailer.sendMail({
+            to: user.email,
+            subject: 'Your Split Bill Calculator account was deleted',
+            text: `Hi ${user.name || ''},\n\nYour account and your private groups have been deleted. Shared groups you were in keep their history for the other members.`
+        }).catch(error => console.error('Account deletion notice error:', error));
+        endCurrentSession(req, res, { message: 'Your account has been deleted' });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+});
+
+/**
+ * GET /api/users - Get all users (for admin purposes)
+ */
+app.get('/api/users', isAdmin, async (req, res) => {
+    try {
+        const users = await userStore.list();
+        // Remove passwords from response
+        res.json(users.map(toSafeUser));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load users' });
+    }
+});
+
+// Admin API Routes
+
+/**
+ * Find the user an admin route acts on; responds with 404 itself and resolves to null when missing
+ */
+async function findAdminTarget(req, res) {
+    const user = await userStore.findById(req.params.id);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+    }
+    return user;
+}
+
+/**
+ * Whether changing or removing `user` would leave the site without an active admin
+ */
+async function isLastAdmin(user) {
+    if (getUserRole(user) !== 'admin' || user.disabled) return false;
+    const users = await userStore.list();
+    return users.filter(u => getUserRole(u) === 'admin' && !u.disabled).length === 1;
+}
+
+/**
+ * Take a user out of every group before their account is deleted
+ * Groups only they belong to are deleted. Shared groups they own pass to the longest-standing
+ * editor (or member, then viewer) so everyone else keeps the ledger.
+ * Call inside withGroupsLock; returns the groups to save
+ */
+function removeUserFromGroups(groups, userId) {
+    const rank = { editor: 0, member: 1, viewer: 2 };
+    return groups.filter(group => {
+        const members = getGroupMembers(group);
+        if (!members.some(member => member.userId === userId)) return true;
+        const others = members.filter(member => member.userId !== userId);
+        if (others.length === 0) return false;
+
+        if (group.ownerId === userId || members.some(m => m.userId === userId && m.role === 'owner')) {
+            const successor = [...others].sort((a, b) =>
+                (rank[a.role] - rank[b.role]) || String(a.joinedAt).localeCompare(String(b.joinedAt)))[0];
+            successor.role = 'owner';
+            group.ownerId = successor.userId;
+        }
+        group.members = others;
+        // Invites the user sent stay valid; members can revoke them
+        group.updatedAt = new Date().toISOString();
+        return true;
+    });
+}
+
+/**
+ * GET /api/admin/users - Search and page through users
+ * Query: search (name or email), page (from 1), pageSize
+ */
+app.get('/api/admin/users', isAdmin, async (req, res) => {
+    try {
+        const search = typeof req.query.search === 'string' ? req.query.search.trim().toLowerCase() : '';
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || ADMIN_PAGE_SIZE, 1), MAX_ADMIN_PAGE_SIZE);
+        const users = (await userStore.list())
+            .filter(u => !search || `${u.name || ''} ${u.email || ''}`.toLowerCase().includes(search))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        const pages = Math.max(Math.ceil(users.length / pageSize), 1);
+        const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pages);
+
+        res.json({
+            users: users.slice((page - 1) * pageSize, page * pageSize).map(toSafeUser),
+            total: users.length,
+            page,
+            pageSize,
+            pages
+        });
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ error: 'Failed to load users' });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:id - Disable or re-enable a user, or change their role
+ * Body: { disabled?: boolean, role?: 'user' | 'admin' }
+ */
+app.patch('/api/admin/users/:id', isAdmin, async (req, res) => {
+    try {
+        const { disabled, role } = req.body;
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'disabled must be true or false' });
+        }
+        if (role !== undefined && !USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+        }
+
+        const user = await findAdminTarget(req, res);
+        if (!user) return;
+        if (user.id === req.user.id && (disabled === true || role === 'user')) {
+            return res.status(400).json({ error: "You can't disable your own account or remove your own admin role" });
+        }
+        if ((disabled === true || role === 'user') && await isLastAdmin(user)) {
+            return res.status(400).json({ error: 'There must always be at least one active admin' });
+        }
+        if (role === 'user' && config.adminEmails.includes((user.email || '').toLowerCase())) {
+            return res.status(400).json({ error: 'This admin is listed in ADMIN_EMAILS. Remove them there instead.' });
+        }
+
+        const updatedUser = await userStore.update(user.id, current => {
+            if (role !== undefined) {
+                current.role = role;
+            }
+            if (disabled === true && !current.disabled) {
+                current.disabled = true;
+                current.disabledAt = new Date().toISOString();
+            } else if (disabled === false) {
+                delete current.disabled;
+                delete current.disabledAt;
+            }
+        });
+        if (!updatedUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (updatedUser.disabled) {
+            await revokeUserSessions(updatedUser.id);
+        }
+        res.json(toSafeUser(updatedUser));
+    } catch (error) {
+        console.error('Admin update user error:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+/**
+ * DELETE /api/admin/users/:id - Delete a user, their sessions and their private groups
+ */
+app.delete('/api/admin/users/:id', isAdmin, async (req, res) => {
+    try {
+        const user = await findAdminTarget(req, res);
+        if (!user) return;
+        if (user.id === req.user.id) {
+            return res.status(400).json({ error: "You can't delete your own account here" });
+        }
+        if (await isLastAdmin(user)) {
+            return res.status(400).json({ error: 'There must always be at least one active admin' });
+        }
+
+        const groupsSaved = await withGroupsLock(async () =>
+            saveGroups(removeUserFromGroups(await loadGroups(), user.id)));
+        if (!groupsSaved) {
+            return res.status(500).json({ error: 'Failed to delete user' });
+        }
+        await userStore.remove(user.id);
+        await revokeUserSessions(user.id);
+        res.json({ message: 'User deleted' });
+    } catch (error) {
+        console.error('Admin delete user error:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// Group Ledger API Routes
+
+/**
+ * GET /api/groups - List the current user's groups
+ */
+app.get('/api/groups', isApiAuthenticated, async (req, res) => {
+    try {
+        // Bring recurring expenses up to date rather than waiting for the next scheduler run
+        const userGroups = await withGroupsLock(async () => {
+            const groups = await loadGroups();
+            const memberGroups = groups.filter(g => getMembership(g, req.user.id));
+            await materializeDueExpenses(memberGroups, groups);
+            return memberGroups;
+        });
+        res.json(userGroups.map(group => toClientGroup(group, req.user.id)));
+    } catch (error) {
+        console.error('Load groups error:', error);
+        res.status(500).json({ error: 'Failed to load groups' });
+    }
+});
+
+/**
+ * POST /api/groups - Create a new group
+ */
+app.post('/api/groups', isApiAuthenticated, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const baseCurrency = req.body.baseCurrency === undefined ? DEFAULT_CURRENCY : req.body.baseCurrency;
+        if (!name || name.length > 50) {
+            return res.status(400).json({ error: 'Group name must be between 1 and 50 characters' });
+        }
+        if (!isValidCurrencyCode(baseCurrency)) {
+            return res.status(400).json({ error: 'Base currency must be a three-letter code such as USD' });
+        }
+
+        const now = new Date().toISOString();
+        const group = {
+            id: Date.now().toString(),
+            ownerId: req.user.id,
+            members: [{
+                userId: req.user.id,
+                name: req.user.name,
+                email: req.user.email,
+                role: 'owner',
+                personId: null,
+                joinedAt: now
+            }],
+            invites: [],
+            revision: 0,
+            name,
+            archived: false,
+            baseCurrency,
+            currencyRates: {},
+            people: [],
+            expenses: [],
+            payments: [],
+            recurring: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        const saved = await withGroupsLock(async () => {
+            const groups = await loadGroups();
+            groups.push(group);
+            return saveGroups(groups);
+        });
+
+        if (!saved) {
+            return res.status(500).json({ error: 'Failed to save group' });
+        }
+        res.status(201).json(toClientGroup(group, req.user.id));
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({ error: 'Failed to create group' });
+    }
+});
+
+/**
+ * GET /api/groups/:id - Get a group with its people and expenses
+ */
+app.get('/api/groups/:id', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res);
+            if (match) await materializeDueExpenses([match.group], match.groups);
+            return match;
+        });
+        if (!found) return;
+        res.json(toClientGroup(found.group, req.user.id));
+    } catch (error) {
+        console.error('Load group error:', error);
+        res.status(500).json({ error: 'Failed to load group' });
+    }
+});
+
+/**
+ * PATCH /api/groups/:id - Rename, archive/unarchive, or change the settlement rules or currencies of a group
+ */
+app.patch('/api/groups/:id', isApiAuthenticated, async (req, res) => {
+    try {
+        const { name, archived, settlementRules, baseCurrency, currencyRates } = req.body;
+        const trimmedName = typeof name === 'string' ? name.trim() : name;
+
+        if (trimmedName !== undefined && (typeof trimmedName !== 'string' || !trimmedName || trimmedName.length > 50)) {
+            return res.status(400).json({ error: 'Group name must be between 1 and 50 characters' });
+        }
+        if (archived !== undefined && typeof archived !== 'boolean') {
+            return res.status(400).json({ error: 'Archived must be true or false' });
+        }
+        if (settlementRules !== undefined && !isValidSettlementRules(settlementRules)) {
+            return res.status(400).json({ error: 'Invalid settlement rules' });
+        }
+        if (baseCurrency !== undefined && !isValidCurrencyCode(baseCurrency)) {
+            return res.status(400).json({ error: 'Base currency must be a three-letter code such as USD' });
+        }
+        if (currencyRates !== undefined && !isValidCurrencyRates(currencyRates)) {
+            return res.status(400).json({ error: 'Exchange rates must be positive numbers keyed by currency code' });
+        }
+
+        // Renaming and archiving change the group for everyone, so only its owner may do them
+        const permission = trimmedName !== undefined || archived !== undefined ? 'manageGroup' : 'editSettings';
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res, permission);
+            if (!match) return null;
+            if (trimmedName !== undefined) match.group.name = trimmedName;
+            if (archived !== undefined) match.group.archived = archived;
+            if (settlementRules !== undefined) match.group.settlementRules = settlementRules;
+            if (baseCurrency !== undefined) match.group.baseCurrency = baseCurrency;
+            if (currencyRates !== undefined) match.group.currencyRates = currencyRates;
+            match.group.updatedAt = new Date().toISOString();
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to save group' });
+        }
+        res.json(toClientGroup(found.group, req.user.id));
+    } catch (error) {
+        console.error('Update group error:', error);
+        res.status(500).json({ error: 'Failed to update group' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id - Permanently delete a group and its ledger
+ */
+app.delete('/api/groups/:id', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res, 'manageGroup');
+            if (!match) return null;
+            match.saved = await saveGroups(match.groups.filter(g => g !== match.group));
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to delete group' });
+        }
+        res.json({ message: 'Group deleted' });
+    } catch (error) {
+        console.error('Delete group error:', error);
+        res.status(500).json({ error: 'Failed to delete group' });
+    }
+});
+
+/**
+ * GET /api/groups/:id/people - Get the people in a group
+ */
+app.get('/api/groups/:id/people', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await findUserGroup(req, res);
+        if (!found) return;
+        res.json(found.group.people);
+    } catch (error) {
+        console.error('Load people error:', error);
+        res.status(500).json({ error: 'Failed to load people' });
+    }
+});
+
+/**
+ * GET /api/groups/:id/expenses - Get the expenses in a group
+ */
+app.get('/api/groups/:id/expenses', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await findUserGroup(req, res);
+        if (!found) return;
+        res.json(found.group.expenses);
+    } catch (error) {
+        console.error('Load expenses error:', error);
+        res.status(500).json({ error: 'Failed to load expenses' });
+    }
+});
+
+/**
+ * GET /api/groups/:id/payments - Get the settlement payments recorded in a group
+ */
+app.get('/api/groups/:id/payments', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await findUserGroup(req, res);
+        if (!found) return;
+        res.json(found.group.payments || []);
+    } catch (error) {
+        console.error('Load payments error:', error);
+        res.status(500).json({ error: 'Failed to load payments' });
+    }
+});
+
+/**
+ * PUT /api/groups/:id/ledger - Replace a group's people, expenses and payments in one save
+ * Everything is checked before anything is written, so a refused save leaves the group as it was.
+ * Body: { people, expenses, payments, syncedAt, revision }; `syncedAt` is the newest `generatedAt` the
+ * client has seen, and recurring expenses added after it are kept though the client doesn't have them yet.
+ */
+app.put('/api/groups/:id/ledger', isApiAuthenticated, async (req, res) => {
+    try {
+        const { people, expenses, payments, syncedAt = '', revision } = req.body;
+        if (!isValidPeopleList(people)) {
+            return res.status(400).json({ error: 'Invalid people list' });
+        }
+        if (!isValidExpenseList(expenses)) {
+            return res.status(400).json({ error: 'Invalid expense list' });
+        }
+        if (!isValidPaymentList(payments)) {
+            return res.status(400).json({ error: 'Invalid payment list' });
+        }
+        if (typeof syncedAt !== 'string') {
+            return res.status(400).json({ error: 'Invalid sync time' });
+        }
+        if (!Number.isInteger(revision)) {
+            return res.status(400).json({ error: 'Invalid revision' });
+        }
+
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res);
+            if (!match) return null;
+            if (isStaleRevision(match.group, revision)) {
+                res.status(409).json({ error: 'This group was changed by another member. Reload to see the latest version.' });
+                return null;
+            }
+            const refused = checkPeopleChange(match.group, match.membership, people);
+            if (refused) {
+                res.status(refused.status).json({ error: refused.error });
+                return null;
+            }
+            const changedExpenses = mergeExpenseChanges(match.group, match.membership, expenses, syncedAt);
+            if (!changedExpenses) {
+                res.status(403).json({ error: 'Your role in this group only allows changing expenses you added' });
+                return null;
+            }
+            const changedPayments = applyEntryChanges(
+                match.group.payments || [],
+                payments,
+                match.membership,
+                { currency: match.group.baseCurrency || DEFAULT_CURRENCY, rate: 1 }
+            );
+            if (!changedPayments) {
+                res.status(403).json({ error: 'Your role in this group only allows changing payments you recorded' });
+                return null;
+            }
+            if (!refersToKnownPeople(people, changedExpenses, changedPayments)) {
+                res.status(400).json({ error: 'Expenses and payments can only refer to people in the group' });
+                return null;
+            }
+            match.group.people = people;
+            match.group.expenses = changedExpenses;
+            match.group.payments = changedPayments;
+            markLedgerChanged(match.group);
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to save the group' });
+        }
+        res.json(toClientGroup(found.group, req.user.id));
+    } catch (error) {
+        console.error('Save ledger error:', error);
+        res.status(500).json({ error: 'Failed to save the group' });
+    }
+});
+
+/**
+ * POST /api/groups/:id/recurring - Make an expense repeat; occurrences already due are added straight away
+ */
+app.post('/api/groups/:id/recurring', isApiAuthenticated, async (req, res) => {
+    try {
+        const { expense, frequency, intervalDays, startDate, endDate = null } = req.body;
+        if (!isValidRecurringInput({ expense, frequency, intervalDays, startDate, endDate })) {
+            return res.status(400).json({ error: 'Invalid recurring expense' });
+        }
+
+        // Each occurrence gets its own id and date
+        const { id, date, createdBy, ...expenseTemplate } = expense;
+        const template = {
+            id: Date.now().toString(),
+            expense: expenseTemplate,
+            createdBy: req.user.id,
+            frequency,
+            intervalDays: frequency === 'custom' ? intervalDays : null,
+            startDate,
+            endDate,
+            nextDate: startDate,
+            skippedDates: [],
+            createdAt: new Date().toISOString()
+        };
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res, 'addEntries');
+            if (!match) return null;
+            match.group.recurring = [...(match.group.recurring || []), template];
+            materializeRecurring(match.group, todayDateKey());
+            match.group.updatedAt = new Date().toISOString();
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to save recurring expense' });
+        }
+        res.status(201).json(toClientGroup(found.group, req.user.id));
+    } catch (error) {
+        console.error('Create recurring expense error:', error);
+        res.status(500).json({ error: 'Failed to create recurring expense' });
+    }
+});
+
+/**
+ * POST /api/groups/:id/recurring/:recurringId/skip - Skip the next occurrence of a recurring expense
+ */
+app.post('/api/groups/:id/recurring/:recurringId/skip', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res);
+            if (!match) return null;
+            const template = (match.group.recurring || []).find(t => t.id === req.params.recurringId);
+            if (!template || !template.nextDate) {
+                res.status(404).json({ error: 'No upcoming occurrence to skip' });
+                return null;
+            }
+            if (!hasGroupPermission(match.membership, 'editAllEntries') && template.createdBy !== req.user.id) {
+                res.status(403).json({ error: 'Only the member who set up this recurring expense can skip it' });
+                return null;
+            }
+            template.skippedDates.push(template.nextDate);
+            template.nextDate = nextOccurrenceDate(template, template.nextDate);
+            if (template.endDate && template.nextDate > template.endDate) {
+                template.nextDate = null;
+            }
+            match.template = template;
+            match.group.updatedAt = new Date().toISOString();
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to save recurring expense' });
+        }
+        res.json(found.template);
+    } catch (error) {
+        console.error('Skip recurring expense error:', error);
+        res.status(500).json({ error: 'Failed to skip occurrence' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/recurring/:recurringId - Stop a recurring expense; past occurrences stay in the ledger
+ */
+app.delete('/api/groups/:id/recurring/:recurringId', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res);
+            if (!match) return null;
+            const recurring = match.group.recurring || [];
+            const template = recurring.find(t => t.id === req.params.recurringId);
+            if (!template) {
+                res.status(404).json({ error: 'Recurring expense not found' });
+                return null;
+            }
+            if (!hasGroupPermission(match.membership, 'editAllEntries') && template.createdBy !== req.user.id) {
+                res.status(403).json({ error: 'Only the member who set up this recurring expense can stop it' });
+                return null;
+            }
+            match.group.recurring = recurring.filter(t => t.id !== req.params.recurringId);
+            match.group.updatedAt = new Date().toISOString();
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to save recurring expense' });
+        }
+        res.json({ message: 'Recurring expense stopped' });
+    } catch (error) {
+        console.error('Delete recurring expense error:', error);
+        res.status(500).json({ error: 'Failed to stop recurring expense' });
+    }
+});
+
+// Group Sharing API Routes
+
+/**
+ * Find an invite the current user may accept: one sent to their email, or the invite link they opened
+ */
+function findInviteForUser(groups, inviteId, req) {
+    for (const group of groups) {
+        const invite = getActiveInvites(group).find(i => i.id === inviteId && isInviteForUser(i, req));
+        if (invite) return { group, invite };
+    }
+    return null;
+}
+
+/**
+ * An invite is for the signed-in user when it was sent to their email, or is the invite link
+ * they opened. Email invites stay hidden until the address is verified, so signing up with
+ * someone else's email doesn't reveal the groups they were invited to
+ */
+function isInviteForUser(invite, req) {
+    if (invite.email && isEmailVerified(req.user) && invite.email === (req.user.email || '').toLowerCase()) {
+        return true;
+    }
+    return Boolean(req.session.inviteToken) && invite.tokenHash === hashToken(req.session.inviteToken);
+}
+
+/**
+ * POST /api/groups/:id/invites - Invite a registered user by email, or create a one-time invite link,
+ * for one of the group's people
+ */
+app.post('/api/groups/:id/invites', isApiAuthenticated, async (req, res) => {
+    try {
+        const { personId, role = 'member' } = req.body;
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        if (!INVITE_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Role must be editor, member or viewer' });
+        }
+
+        let invitee = null;
+        if (email) {
+            invitee = await userStore.findByEmail(email);
+            if (!invitee) {
+                return res.status(404).json({ error: 'No account uses that email. Send them an invite link instead.' });
+            }
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res, 'manageGroup');
+            if (!match) return null;
+            const person = match.group.people.find(p => String(p.id) === String(personId));
+            if (!person) {
+                res.status(400).json({ error: 'Choose who in the group the invite is for' });
+                return null;
+            }
+            const members = getGroupMembers(match.group);
+            if (members.some(member => String(member.personId) === String(person.id))) {
+                res.status(409).json({ error: `${person.name} is already linked to an account` });
+                return null;
+            }
+            if (invitee && members.some(member => member.userId === invitee.id)) {
+                res.status(409).json({ error: 'That user is already a member of this group' });
+                return null;
+            }
+
+            const now = new Date();
+            match.invite = {
+                id: Date.now().toString(),
+                tokenHash: hashToken(token),
+                email: invitee ? email : null,
+                personId: person.id,
+                role,
+                invitedBy: req.user.id,
+                invitedByName: req.user.name,
+                createdAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + INVITE_LIFETIME).toISOString()
+            };
+            // A newer invite for the same person replaces the old one, so only one can be accepted
+            match.group.members = members;
+            match.group.invites = [
+                ...getActiveInvites(match.group).filter(invite => String(invite.personId) !== String(person.id)),
+                match.invite
+            ];
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to save invite' });
+        }
+        res.status(201).json({
+            invite: toClientInvite(found.invite),
+            link: `${config.baseUrl}/invite/${token}`
+        });
+    } catch (error) {
+        console.error('Create invite error:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/invites/:inviteId - Revoke an invite that hasn't been accepted yet
+ */
+app.delete('/api/groups/:id/invites/:inviteId', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res, 'manageGroup');
+            if (!match) return null;
+            const invites = match.group.invites || [];
+            if (!invites.some(invite => invite.id === req.params.inviteId)) {
+                res.status(404).json({ error: 'Invite not found' });
+                return null;
+            }
+            match.group.invites = invites.filter(invite => invite.id !== req.params.inviteId);
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to revoke invite' });
+        }
+        res.json({ message: 'Invite revoked' });
+    } catch (error) {
+        console.error('Revoke invite error:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+});
+
+/**
+ * PATCH /api/groups/:id/members/:userId - Change a member's role or linked person
+ * The owner can change anyone; other members can only change which person they are
+ */
+app.patch('/api/groups/:id/members/:userId', isApiAuthenticated, async (req, res) => {
+    try {
+        const { role, personId } = req.body;
+        if (role !== undefined && !INVITE_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Role must be editor, member or viewer' });
+        }
+
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res);
+            if (!match) return null;
+            const members = getGroupMembers(match.group);
+            const target = members.find(member => member.userId === req.params.userId);
+            if (!target) {
+                res.status(404).json({ error: 'Member not found' });
+                return null;
+            }
+            if (!hasGroupPermission(match.membership, 'manageGroup') && (role !== undefined || target.userId !== req.user.id)) {
+                res.status(403).json({ error: 'Only the group owner can change other members' });
+                return null;
+            }
+            if (role !== undefined && target.role === 'owner') {
+                res.status(400).json({ error: "The owner's role can't be changed" });
+                return null;
+            }
+            const person = personId === undefined || personId === null
+                ? null
+                : match.group.people.find(p => String(p.id) === String(personId));
+            if (personId !== undefined && personId !== null) {
+                if (!person) {
+                    res.status(400).json({ error: 'Person not found in this group' });
+                    return null;
+                }
+                if (members.some(member => member !== target && String(member.personId) === String(person.id))) {
+                    res.status(409).json({ error: `${person.name} is already linked to another member` });
+                    return null;
+                }
+            }
+
+            if (role !== undefined) target.role = role;
+            if (personId !== undefined) target.personId = person ? person.id : null;
+            match.group.members = members;
+            match.group.updatedAt = new Date().toISOString();
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to save member' });
+        }
+        res.json(toClientGroup(found.group, req.user.id));
+    } catch (error) {
+        console.error('Update member error:', error);
+        res.status(500).json({ error: 'Failed to update member' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/members/:userId - Remove a member, or leave a group you don't own
+ * Their person and expenses stay in the ledger
+ */
+app.delete('/api/groups/:id/members/:userId', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await withGroupsLock(async () => {
+            const match = await findUserGroup(req, res);
+            if (!match) return null;
+            const members = getGroupMembers(match.group);
+            const target = members.find(member => member.userId === req.params.userId);
+            if (!target) {
+                res.status(404).json({ error: 'Member not found' });
+                return null;
+            }
+            if (target.role === 'owner') {
+                res.status(400).json({ error: "The owner can't leave the group. Delete it instead." });
+                return null;
+            }
+            if (!hasGroupPermission(match.membership, 'manageGroup') && target.userId !== req.user.id) {
+                res.status(403).json({ error: 'Only the group owner can remove other members' });
+                return null;
+            }
+            match.group.members = members.filter(member => member !== target);
+            match.group.updatedAt = new Date().toISOString();
+            match.saved = await saveGroups(match.groups);
+            return match;
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to remove member' });
+        }
+        res.json({ message: 'Member removed' });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+/**
+ * GET /api/invites - Invites waiting for the current user: sent to their email, or opened as a link
+ */
+app.get('/api/invites', isApiAuthenticated, async (req, res) => {
+    try {
+        const groups = await loadGroups();
+        const invites = [];
+        groups.forEach(group => {
+            if (getMembership(group, req.user.id)) return;
+            getActiveInvites(group)
+                .filter(invite => isInviteForUser(invite, req))
+                .forEach(invite => {
+                    const person = group.people.find(p => String(p.id) === String(invite.personId));
+                    invites.push({
+                        id: invite.id,
+                        groupId: group.id,
+                        groupName: group.name,
+                        personName: person ? person.name : null,
+                        role: invite.role,
+                        invitedByName: invite.invitedByName,
+                        expiresAt: invite.expiresAt
+                    });
+                });
+        });
+        res.json(invites);
+    } catch (error) {
+        console.error('Load invites error:', error);
+        res.status(500).json({ error: 'Failed to load invites' });
+    }
+});
+
+/**
+ * POST /api/invites/:inviteId/accept - Join the group and become the person the invite was for
+ */
+app.post('/api/invites/:inviteId/accept', isApiAuthenticated, async (req, res) => {
+    if (!isEmailVerified(req.user)) {
+        return res.status(403).json({
+            error: 'Please confirm your email address before joining shared groups',
+            code: 'EMAIL_UNVERIFIED'
+        });
+    }
+
+    try {
+        const found = await withGroupsLock(async () => {
+            const groups = await loadGroups();
+            const match = findInviteForUser(groups, req.params.inviteId, req);
+            if (!match) {
+                res.status(404).json({ error: 'This invite has expired or was already used' });
+                return null;
+            }
+            const { group, invite } = match;
+            const members = getGroupMembers(group);
+            if (members.some(member => member.userId === req.user.id)) {
+                res.status(409).json({ error: 'You are already a member of this group' });
+                return null;
+            }
+            const person = group.people.find(p => String(p.id) === String(invite.personId));
+            if (!person || members.some(member => String(member.personId) === String(invite.personId))) {
+                res.status(409).json({ error: 'The person this invite was for is no longer available. Ask for a new invite.' });
+                return null;
+            }
+
+            group.members = [...members, {
+                userId: req.user.id,
+                name: req.user.name,
+                email: req.user.email,
+                role: invite.role,
+                personId: person.id,
+                joinedAt: new Date().toISOString()
+            }];
+            // Invites are single-use
+            group.invites = group.invites.filter(i => i !== invite);
+            group.updatedAt = new Date().toISOString();
+            return { group, saved: await saveGroups(groups) };
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to join group' });
+        }
+        delete req.session.inviteToken;
+        res.json(toClientGroup(found.group, req.user.id));
+    } catch (error) {
+        console.error('Accept invite error:', error);
+        res.status(500).json({ error: 'Failed to accept invite' });
+    }
+});
+
+/**
+ * POST /api/invites/:inviteId/decline - Turn down an invite
+ * Email invites are removed; an opened invite link is only forgotten, as it may have reached you by mistake
+ */
+app.post('/api/invites/:inviteId/decline', isApiAuthenticated, async (req, res) => {
+    try {
+        const found = await withGroupsLock(async () => {
+            const groups = await loadGroups();
+            const match = findInviteForUser(groups, req.params.inviteId, req);
+            if (!match) {
+                res.status(404).json({ error: 'Invite not found' });
+                return null;
+            }
+            if (match.invite.email !== (req.user.email || '').toLowerCase()) return { saved: true };
+            match.group.invites = match.group.invites.filter(i => i !== match.invite);
+            return { saved: await saveGroups(groups) };
+        });
+        if (!found) return;
+
+        if (!found.saved) {
+            return res.status(500).json({ error: 'Failed to decline invite' });
+        }
+        delete req.session.inviteToken;
+        res.json({ message: 'Invite declined' });
+    } catch (error) {
+        console.error('Decline invite error:', error);
+        res.status(500).json({ error: 'Failed to decline invite' });
+    }
+});
+
+// Global error handler
+app.use((error, req, res, next) => {
+    console.error('Global error handler caught:', error);
+    console.error('Error stack:', error.stack);
+    
+    // Don't send error details in production
+    res.status(500).json({ 
+        error: 'Internal server error',
+        message: 'Something went wrong on the server'
+    });
+});
+
+// 404 handler for undefined routes
+app.use('*', (req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+});
+
+// Start server once the user store is open; unreadable user data stops it instead of being replaced
+userStore.init().then(() => {
+    app.listen(PORT, async () => {
+        console.log(`Server running on port ${PORT}`);
+        await initializeGroupsFile();
+        await configureGoogleStrategy();
+        await runRecurringScheduler();
+        setInterval(runRecurringScheduler, RECURRING_CHECK_INTERVAL);
+        console.log('Authentication Server ready!');
+        console.log(`Visit ${config.baseUrl} to access the authentication system`);
+    });
+}).catch(error => {
+    console.error('Failed to open the user store:', error.message);
+    process.exit(1);
 });
 
 module.exports = app;
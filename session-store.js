@@ -0,0 +1,147 @@
+/**
+ * File-backed session store for express-session
+ * Sessions are kept in memory and written to a JSON file, so signed-in users stay
+ * signed in when the server restarts. Writes go to a temporary file that is then
+ * renamed over the old one, so a crash mid-write never leaves a half-written file.
+ */
+
+const fs = require('fs');
+const session = require('express-session');
+
+// Expired sessions are dropped, and last-activity updates written, this often
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+class FileSessionStore extends session.Store {
+    /**
+     * @param {{file: string, maxAge: number}} options - maxAge is used for sessions without a cookie expiry
+     */
+    constructor({ file, maxAge }) {
+        super();
+        this.file = file;
+        this.maxAge = maxAge;
+        this.sessions = this.load();
+        this.saving = null;
+        this.pendingSave = false;
+        this.touched = false;
+
+        const timer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+        // Don't keep the process alive just for pruning
+        timer.unref();
+    }
+
+    /**
+     * Read the sessions file; a missing or unreadable file only means everyone signs in again
+     */
+    load() {
+        try {
+            const sessions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            return sessions && typeof sessions === 'object' ? sessions : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading sessions, starting with none:', error.message);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Write the sessions file, folding writes requested while one is running into a single follow-up
+     */
+    persist() {
+        if (this.saving) {
+            this.pendingSave = true;
+            return this.saving;
+        }
+        this.saving = (async () => {
+            do {
+                this.pendingSave = false;
+                this.touched = false;
+                const tempFile = `${this.file}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify(this.sessions));
+                await fs.promises.rename(tempFile, this.file);
+            } while (this.pendingSave);
+        })().finally(() => {
+            this.saving = null;
+        });
+        return this.saving;
+    }
+
+    expiresAt(sess) {
+        const expires = sess.cookie && sess.cookie.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + this.maxAge;
+    }
+
+    isExpired(sid) {
+        return this.sessions[sid].expiresAt <= Date.now();
+    }
+
+    prune() {
+        const expired = Object.keys(this.sessions).filter(sid => this.isExpired(sid));
+        expired.forEach(sid => delete this.sessions[sid]);
+        if (expired.length > 0 || this.touched) {
+            this.persist().catch(error => console.error('Error saving sessions:', error));
+        }
+    }
+
+    get(sid, callback) {
+        const entry = this.sessions[sid];
+        if (!entry) {
+            return callback(null, null);
+        }
+        if (this.isExpired(sid)) {
+            return this.destroy(sid, error => callback(error, null));
+        }
+        // Hand out a copy so changes only stick when express-session saves them
+        callback(null, JSON.parse(JSON.stringify(entry.session)));
+    }
+
+    set(sid, sess, callback = () => {}) {
+        this.sessions[sid] = { session: JSON.parse(JSON.stringify(sess)), expiresAt: this.expiresAt(sess) };
+        this.persist().then(() => callback(null), callback);
+    }
+
+    /**
+     * Extend a session's expiry; written with the next save or prune rather than on every request
+     */
+    touch(sid, sess, callback = () => {}) {
+        const entry = this.sessions[sid];
+        if (entry) {
+            entry.session.cookie = JSON.parse(JSON.stringify(sess.cookie));
+            entry.expiresAt = this.expiresAt(sess);
+            this.touched = true;
+        }
+        callback(null);
+    }
+
+    destroy(sid, callback = () => {}) {
+        if (!this.sessions[sid]) {
+            return callback(null);
+        }
+        delete this.sessions[sid];
+        this.persist().then(() => callback(null), callback);
+    }
+
+    /**
+     * All live sessions keyed by session id, the same shape MemoryStore returns
+     */
+    all(callback) {
+        const sessions = {};
+        Object.keys(this.sessions)
+            .filter(sid => !this.isExpired(sid))
+            .forEach(sid => {
+                sessions[sid] = JSON.parse(JSON.stringify(this.sessions[sid].session));
+            });
+        callback(null, sessions);
+    }
+
+    length(callback) {
+        this.all((error, sessions) => callback(error, Object.keys(sessions).length));
+    }
+
+    clear(callback = () => {}) {
+        this.sessions = {};
+        this.persist().then(() => callback(null), callback);
+    }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,115 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor sign-in
+ * Works with authenticator apps such as Google Authenticator, Authy or 1Password:
+ * 6-digit codes from HMAC-SHA1 over 30-second steps, with secrets shared as base32.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, to allow for clock drift
+const DRIFT_STEPS = 1;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret, base32-encoded (160 bits, as RFC 4226 recommends)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for a 30-second time step
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the secret
+ * @param {number} lastUsedStep - The step of the last accepted code; it and earlier steps are refused so codes can't be replayed
+ * @returns {number|null} The step the code belongs to, or null if it doesn't match
+ */
+function verifyCode(secret, code, lastUsedStep = -1) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) {
+        return null;
+    }
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * The otpauth:// URI that authenticator apps read from a QR code
+ * @param {{secret: string, accountName: string, issuer: string}} options
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    // Spaces must be %20 rather than URLSearchParams' "+", which some apps show literally
+    const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS };
+    const query = Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    buildOtpauthUri
+};
@@ -0,0 +1,410 @@
+/**
+ * User account storage
+ * Two adapters share one async interface: a JSON file (the default) and a SQLite database.
+ * Users are looked up by id and by email through indexes instead of scanning every account,
+ * and writes go through the store one at a time so concurrent requests can't overwrite each
+ * other's changes. Records are handed out as copies; change them with update().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Thrown when a user would end up with an email another account already uses
+ */
+class DuplicateEmailError extends Error {
+    constructor(email) {
+        super(`Email already registered: ${email}`);
+        this.name = 'DuplicateEmailError';
+        this.code = 'EMAIL_TAKEN';
+    }
+}
+
+function emailKey(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function copy(user) {
+    return user ? JSON.parse(JSON.stringify(user)) : null;
+}
+
+/**
+ * Apply a change function to a working copy of a user
+ * The function must be synchronous so the change is made against the latest record
+ * @returns {Object|null} The changed copy, or null when the function returned false to cancel
+ */
+function applyChange(user, change) {
+    const draft = copy(user);
+    const result = change(draft);
+    if (result && typeof result.then === 'function') {
+        throw new TypeError('User changes must be synchronous; do async work before calling update()');
+    }
+    return result === false ? null : draft;
+}
+
+/**
+ * Users kept in a JSON file
+ * Every save copies the current file to a .bak backup, then writes a temporary file and
+ * renames it into place, so a crash mid-write leaves either the old file or the new one.
+ * An unreadable file is set aside and the backup used; if there is no usable backup the
+ * store refuses to open, rather than starting empty and losing every account.
+ */
+class JsonUserStore {
+    /**
+     * @param {{file: string}} options
+     */
+    constructor({ file }) {
+        this.file = file;
+        this.backupFile = `${file}.bak`;
+        this.users = [];
+        this.byId = new Map();
+        this.byEmail = new Map();
+        this.writes = Promise.resolve();
+        this.lastId = 0;
+    }
+
+    async init() {
+        let users = await this.read(this.file);
+        if (users === undefined) {
+            users = await this.recover();
+        }
+        this.index(users || []);
+        if (users === null) {
+            // No file yet
+            await this.write(this.users);
+        }
+        console.log(`Loaded ${this.users.length} users from ${path.basename(this.file)}`);
+    }
+
+    /**
+     * @returns {Promise<Array|null|undefined>} The users, null when the file doesn't exist,
+     * or undefined when it can't be used
+     */
+    async read(file) {
+        try {
+            const users = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            if (Array.isArray(users)) {
+                return users;
+            }
+            console.error(`${file} does not contain a list of users`);
+            return undefined;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            console.error(`Could not read ${file}:`, error.message);
+            return undefined;
+        }
+    }
+
+    /**
+     * Fall back to the backup when the users file is unreadable, moving the broken file aside
+     * Without a backup the broken file is left where it is, so the next start can't replace it either
+     */
+    async recover() {
+        const contents = await fs.promises.readFile(this.file, 'utf8');
+        const backup = await this.read(this.backupFile);
+        // An empty file holds no accounts to lose
+        const users = Array.isArray(backup) ? backup : contents.trim() === '' ? [] : null;
+        if (!users) {
+            throw new Error(`${this.file} is unreadable and there is no usable backup. ` +
+                'Fix or restore it by hand and start the server again.');
+        }
+
+        const corruptFile = `${this.file}.corrupt-${Date.now()}`;
+        await fs.promises.rename(this.file, corruptFile);
+        console.error(`Moved the unreadable users file to ${corruptFile}`);
+        await this.write(users, { keepBackup: true });
+        if (backup) {
+            console.error(`Restored ${backup.length} users from ${this.backupFile}`);
+        }
+        return users;
+    }
+
+    index(users) {
+        this.users = users;
+        this.byId = new Map();
+        this.byEmail = new Map();
+        users.forEach(user => {
+            this.byId.set(user.id, user);
+            const key = emailKey(user.email);
+            if (this.byEmail.has(key)) {
+                console.warn(`More than one user has the email ${user.email}; lookups find the first`);
+            } else {
+                this.byEmail.set(key, user);
+            }
+        });
+    }
+
+    /**
+     * Write all users atomically, keeping the previous file as a backup
+     */
+    async write(users, { keepBackup = false } = {}) {
+        const tempFile = `${this.file}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(users, null, 2));
+        if (!keepBackup) {
+            await fs.promises.copyFile(this.file, this.backupFile).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        await fs.promises.rename(tempFile, this.file);
+    }
+
+    /**
+     * Run a write after every earlier one has finished
+     * The new list is only indexed once it is on disk, so a failed save changes nothing
+     */
+    queueWrite(task) {
+        const run = this.writes.then(async () => {
+            const { users, result } = task();
+            if (users) {
+                await this.write(users);
+                this.index(users);
+            }
+            return result;
+        });
+        // A failed write shouldn't block the ones queued after it
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    async findById(id) {
+        return copy(this.byId.get(id));
+    }
+
+    async findByEmail(email) {
+        return copy(this.byEmail.get(emailKey(email)));
+    }
+
+    /**
+     * The first user matching `predicate`; this checks every user, so prefer findById and findByEmail
+     */
+    async findOne(predicate) {
+        return copy(this.users.find(user => predicate(user)));
+    }
+
+    async list() {
+        return copy(this.users);
+    }
+
+    /**
+     * Ids are timestamps like the rest of the app's, moved on a millisecond when two land together
+     */
+    nextId() {
+        let id = Math.max(Date.now(), this.lastId + 1);
+        while (this.byId.has(String(id))) id++;
+        this.lastId = id;
+        return String(id);
+    }
+
+    /**
+     * Add a user, giving it an id when it has none
+     * @throws {DuplicateEmailError}
+     */
+    insert(user) {
+        return this.queueWrite(() => {
+            if (this.byEmail.has(emailKey(user.email))) {
+                throw new DuplicateEmailError(user.email);
+            }
+            const added = { ...copy(user), id: user.id || this.nextId() };
+            if (this.byId.has(added.id)) {
+                throw new Error(`A user with id ${added.id} already exists`);
+            }
+            return { users: [...this.users, added], result: copy(added) };
+        });
+    }
+
+    /**
+     * Change a user with `change(user)`, which edits the record in place and can return false to cancel
+     * @returns {Promise<Object|null>} The saved user (unchanged if cancelled), or null when there is no such user
+     * @throws {DuplicateEmailError} When the change gives the user another account's email
+     */
+    update(id, change) {
+        return this.queueWrite(() => {
+            const current = this.byId.get(id);
+            if (!current) return { result: null };
+            const updated = applyChange(current, change);
+            if (!updated) return { result: copy(current) };
+            updated.id = current.id;
+            const owner = this.byEmail.get(emailKey(updated.email));
+            if (owner && owner !== current) {
+                throw new DuplicateEmailError(updated.email);
+            }
+            return { users: this.users.map(user => user === current ? updated : user), result: copy(updated) };
+        });
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether there was a user to remove
+     */
+    remove(id) {
+        return this.queueWrite(() => {
+            const current = this.byId.get(id);
+            if (!current) return { result: false };
+            return { users: this.users.filter(user => user !== current), result: true };
+        });
+    }
+}
+
+/**
+ * Users kept in a SQLite database through better-sqlite3 (an optional dependency)
+ * Each user is a JSON document with its id and lower-cased email in indexed columns.
+ * better-sqlite3 runs statements synchronously, so each change is read, applied and written
+ * inside one transaction with nothing able to run in between.
+ */
+class SqliteUserStore {
+    /**
+     * @param {{file: string, importFile?: string}} options - importFile is a users.json whose
+     * accounts are copied in when the database has none, to move over from the JSON store
+     */
+    constructor({ file, importFile }) {
+        this.file = file;
+        this.importFile = importFile;
+        this.db = null;
+        this.lastId = 0;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('USER_STORE=sqlite needs the better-sqlite3 package. Install it with "npm install better-sqlite3".');
+        }
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                email TEXT NOT NULL UNIQUE,
+                data TEXT NOT NULL
+            )
+        `);
+        this.statements = {
+            byId: this.db.prepare('SELECT data FROM users WHERE id = ?'),
+            byEmail: this.db.prepare('SELECT data FROM users WHERE email = ?'),
+            all: this.db.prepare('SELECT data FROM users ORDER BY rowid'),
+            count: this.db.prepare('SELECT COUNT(*) AS count FROM users'),
+            insert: this.db.prepare('INSERT INTO users (id, email, data) VALUES (?, ?, ?)'),
+            update: this.db.prepare('UPDATE users SET email = ?, data = ? WHERE id = ?'),
+            remove: this.db.prepare('DELETE FROM users WHERE id = ?')
+        };
+        await this.importUsers();
+        console.log(`Loaded ${this.statements.count.get().count} users from ${path.basename(this.file)}`);
+    }
+
+    async importUsers() {
+        if (!this.importFile || this.statements.count.get().count > 0) return;
+        let users;
+        try {
+            users = JSON.parse(await fs.promises.readFile(this.importFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not import users from ${this.importFile}: ${error.message}`);
+        }
+        if (!Array.isArray(users) || users.length === 0) return;
+
+        const seen = new Set();
+        const importAll = this.db.transaction(() => {
+            users.forEach(user => {
+                if (seen.has(emailKey(user.email))) {
+                    console.warn(`Skipped importing a second account with the email ${user.email}`);
+                    return;
+                }
+                seen.add(emailKey(user.email));
+                this.statements.insert.run(user.id, emailKey(user.email), JSON.stringify(user));
+            });
+        });
+        importAll();
+        console.log(`Imported ${seen.size} users from ${this.importFile}`);
+    }
+
+    parse(row) {
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    isDuplicateEmail(error) {
+        return error.code === 'SQLITE_CONSTRAINT_UNIQUE' && /users\.email/.test(error.message);
+    }
+
+    async findById(id) {
+        return this.parse(this.statements.byId.get(id));
+    }
+
+    async findByEmail(email) {
+        return this.parse(this.statements.byEmail.get(emailKey(email)));
+    }
+
+    /**
+     * The first user matching `predicate`; this checks every user, so prefer findById and findByEmail
+     */
+    async findOne(predicate) {
+        for (const row of this.statements.all.iterate()) {
+            const user = this.parse(row);
+            if (predicate(user)) return user;
+        }
+        return null;
+    }
+
+    async list() {
+        return this.statements.all.all().map(row => this.parse(row));
+    }
+
+    nextId() {
+        let id = Math.max(Date.now(), this.lastId + 1);
+        while (this.statements.byId.get(String(id))) id++;
+        this.lastId = id;
+        return String(id);
+    }
+
+    async insert(user) {
+        const added = { ...copy(user), id: user.id || this.nextId() };
+        try {
+            this.statements.insert.run(added.id, emailKey(added.email), JSON.stringify(added));
+        } catch (error) {
+            throw this.isDuplicateEmail(error) ? new DuplicateEmailError(added.email) : error;
+        }
+        return copy(added);
+    }
+
+    async update(id, change) {
+        let email = null;
+        const run = this.db.transaction(() => {
+            const current = this.parse(this.statements.byId.get(id));
+            if (!current) return null;
+            const updated = applyChange(current, change);
+            if (!updated) return current;
+            updated.id = current.id;
+            email = updated.email;
+            this.statements.update.run(emailKey(updated.email), JSON.stringify(updated), id);
+            return updated;
+        });
+        try {
+            return run();
+        } catch (error) {
+            throw this.isDuplicateEmail(error) ? new DuplicateEmailError(email) : error;
+        }
+    }
+
+    async remove(id) {
+        return this.statements.remove.run(id).changes > 0;
+    }
+}
+
+/**
+ * The store selected by the configuration
+ * @param {{userStore: 'json'|'sqlite', usersFile: string, userDbFile: string}} config
+ */
+function createUserStore(config) {
+    if (config.userStore === 'sqlite') {
+        return new SqliteUserStore({ file: config.userDbFile, importFile: config.usersFile });
+    }
+    return new JsonUserStore({ file: config.usersFile });
+}
+
+module.exports = {
+    createUserStore,
+    JsonUserStore,
+    SqliteUserStore,
+    DuplicateEmailError
+};